@@ -1,29 +1,410 @@
 /**
  * TRAHN Grid Trader - Custom Canvas Chart with Day Carousel
  * No dependencies. Pure JavaScript.
- * Polls backend data for real-time updates.
+ * Streams live updates over SSE / WebSocket, falling back to polling.
  */
 
 // ============================================
 // Configuration
 // ============================================
 const CONFIG = {
-    dataUrl: './data/current.json',
+    botsUrl: './data/bots.json', // Bot manifest; without one, defaultBot is shown
     pollIntervalMs: 5000,  // Poll every 5 seconds
-    retryIntervalMs: 10000, // Retry after 10 seconds on failure
+    streamUrl: './stream',    // Server-Sent Events endpoint (null to disable)
+    wsUrl: null,              // WebSocket endpoint, e.g. 'ws://localhost:8080/ws'
+    reconnectBaseMs: 1000,    // First reconnect / retry delay
+    reconnectMaxMs: 60000,    // Backoff ceiling
+    deltaFetch: true,         // Ask for only ticks newer than the last one we have
+    blotterMaxRows: 500,      // Rows rendered in the trade table
+    minViewSpanMs: 30 * 1000, // Never zoom in closer than 30 seconds (two of the finest candles in candle mode)
+    pnlMethod: 'fifo',        // 'fifo' or 'grid' sell/buy pairing
+    rangePresets: { '1D': 1, '3D': 3, '1W': 7, '1M': 30 }, // Days per range preset
+    gapThresholdMs: 5 * 60 * 1000, // Silence longer than this is drawn as a gap
+    alertStorageKey: 'trahn.alerts', // localStorage key for saved alerts
+    annotationStorageKey: 'trahn.annotations', // localStorage key for chart notes
+    timeStorageKey: 'trahn.time', // localStorage key for time zone / day start
+    dayTimeZone: 'UTC',       // Zone the backend names its day files in
+    staleAfterMs: 2 * 60 * 1000, // Newest tick / heartbeat older than this marks the bot stale
+    toastMs: 8000,            // How long an alert toast stays up
+    dayStoreName: 'trahn',    // IndexedDB database for past days
+    dayStoreMaxBytes: 50 * 1024 * 1024, // Past days kept across reloads (roughly), LRU beyond that
+    serviceWorkerUrl: './sw.js', // Offline app shell / snapshot (null to disable)
+    botGridPollMs: 15000,     // Refresh interval for the other bots' overview cards
+    replayFrameMs: 100,       // How often replay advances the playhead
+    explorerTxUrl: 'https://etherscan.io/tx/{tx}', // Trade tx hash link, {tx} is replaced (bots can override)
+    defaultBot: {
+        id: 'eth-usdc',
+        name: 'ETH Grid Trader',
+        pair: 'ETH/USDC',
+        base: 'ETH',
+        quote: 'USDC',
+        dataPath: './data/'   // current.json and YYYY-MM-DD.json live here
+    },
 };
 
+// Candle intervals, smallest first. 'auto' picks from these by zoom level.
+const CANDLE_INTERVALS = [
+    { label: '1m', ms: 60000 },
+    { label: '5m', ms: 5 * 60000 },
+    { label: '15m', ms: 15 * 60000 },
+    { label: '1h', ms: 3600000 },
+    { label: '4h', ms: 4 * 3600000 },
+    { label: '1d', ms: 24 * 3600000 }
+];
+const MIN_CANDLE_PX = 6; // Narrowest candle auto mode will draw
+
+// Candidate x-axis tick spacings, smallest first
+const TIME_STEPS_MS = [
+    1000, 2000, 5000, 10000, 15000, 30000,
+    60000, 2 * 60000, 5 * 60000, 10 * 60000, 15 * 60000, 30 * 60000,
+    3600000, 2 * 3600000, 3 * 3600000, 4 * 3600000, 6 * 3600000, 12 * 3600000,
+    24 * 3600000, 2 * 24 * 3600000, 7 * 24 * 3600000
+];
+
+/**
+ * Indicator types, computed tick by tick so the live day only has to process
+ * new ticks. `step(state, points, i, params)` returns the values for tick i
+ * keyed by `series`, or null while warming up. Overlays draw on the price
+ * area (`band` names a pair to shade between); types with `pane` get a
+ * sub-pane. Periods are counted in ticks.
+ */
+const INDICATOR_TYPES = {
+    sma: {
+        label: 'SMA',
+        color: '#d2a8ff',
+        params: { period: { label: 'Period', value: 50, min: 2 } },
+        series: ['value'],
+        init: () => ({ sum: 0 }),
+        step(state, points, i, { period }) {
+            state.sum += points[i].price;
+            if (i >= period) state.sum -= points[i - period].price;
+            return i >= period - 1 ? { value: state.sum / period } : null;
+        }
+    },
+    ema: {
+        label: 'EMA',
+        color: '#ffa657',
+        params: { period: { label: 'Period', value: 20, min: 2 } },
+        series: ['value'],
+        init: () => ({ value: null }),
+        step(state, points, i, { period }) {
+            const price = points[i].price;
+            state.value = state.value === null ? price : state.value + (price - state.value) * 2 / (period + 1);
+            return i >= period - 1 ? { value: state.value } : null;
+        }
+    },
+    bollinger: {
+        label: 'BB',
+        color: '#79c0ff',
+        params: {
+            period: { label: 'Period', value: 20, min: 2 },
+            width: { label: 'Std dev', value: 2, min: 0.5, step: 0.5 }
+        },
+        series: ['upper', 'middle', 'lower'],
+        band: ['upper', 'lower'],
+        init: () => ({ shift: null, sum: 0, sumSq: 0 }),
+        step(state, points, i, { period, width }) {
+            // Sums are kept relative to the first price to avoid cancellation
+            if (state.shift === null) state.shift = points[i].price;
+            const value = points[i].price - state.shift;
+            state.sum += value;
+            state.sumSq += value * value;
+            if (i >= period) {
+                const old = points[i - period].price - state.shift;
+                state.sum -= old;
+                state.sumSq -= old * old;
+            }
+            if (i < period - 1) return null;
+            
+            const mean = state.sum / period;
+            const deviation = Math.sqrt(Math.max(0, state.sumSq / period - mean * mean));
+            return {
+                upper: state.shift + mean + width * deviation,
+                middle: state.shift + mean,
+                lower: state.shift + mean - width * deviation
+            };
+        }
+    },
+    vwap: {
+        label: 'VWAP',
+        color: '#56d4dd',
+        params: {},
+        series: ['value'],
+        requiresVolume: true,
+        init: () => ({ dayEnd: -Infinity, priceVolume: 0, volume: 0 }),
+        step(state, points, i) {
+            const point = points[i];
+            
+            // Anchored at the start of each trading day
+            if (point.timestamp >= state.dayEnd) {
+                state.dayEnd = nextTradingDayStart(point.timestamp);
+                state.priceVolume = 0;
+                state.volume = 0;
+            }
+            if (point.volume > 0) {
+                state.priceVolume += point.price * point.volume;
+                state.volume += point.volume;
+            }
+            return state.volume > 0 ? { value: state.priceVolume / state.volume } : null;
+        }
+    },
+    atr: {
+        label: 'ATR',
+        color: '#f778ba',
+        params: { period: { label: 'Period', value: 14, min: 2 } },
+        series: ['value'],
+        pane: { height: 70, format: value => formatQuote(value) },
+        init: () => ({ sum: 0, value: null }),
+        step(state, points, i, { period }) {
+            if (i === 0) return null;
+            
+            // Tick-to-tick true range with Wilder smoothing
+            const range = Math.abs(points[i].price - points[i - 1].price);
+            if (state.value === null) {
+                state.sum += range;
+                if (i < period) return null;
+                state.value = state.sum / period;
+            } else {
+                state.value = (state.value * (period - 1) + range) / period;
+            }
+            return { value: state.value };
+        }
+    }
+};
+
+function indicatorLabel(indicator) {
+    const type = INDICATOR_TYPES[indicator.type];
+    return [type.label, ...Object.values(indicator.params)].join(' ');
+}
+
+// ============================================
+// Time Zones
+// ============================================
+
+/**
+ * Display settings shared by everything that shows a time. `timeZone` is
+ * 'local', 'UTC' or an IANA name. `dayStartHour` is when the backend rolls
+ * over to the next day file, in CONFIG.dayTimeZone.
+ */
+const timeSettings = { timeZone: 'local', dayStartHour: 0 };
+
+const HOUR_MS = 3600000;
+const zoneFormatters = {};
+
+function zoneOption(timeZone = timeSettings.timeZone) {
+    return timeZone === 'local' ? {} : { timeZone };
+}
+
+function isValidTimeZone(timeZone) {
+    if (timeZone === 'local') return true;
+    if (typeof timeZone !== 'string' || timeZone === '') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Format a timestamp in the display zone
+function formatTime(timestamp, options) {
+    return new Date(timestamp).toLocaleString('en-US', { ...options, ...zoneOption() });
+}
+
+// Format a 'YYYY-MM-DD' day key as that calendar date, whatever the zone
+function formatDay(day, options) {
+    return new Date(day + 'T12:00:00Z').toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+}
+
+// Wall-clock fields of a timestamp in `timeZone`
+function zonedParts(timestamp, timeZone = timeSettings.timeZone) {
+    if (!zoneFormatters[timeZone]) {
+        zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            ...zoneOption(timeZone),
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric', hourCycle: 'h23'
+        });
+    }
+    
+    const parts = {};
+    for (const { type, value } of zoneFormatters[timeZone].formatToParts(timestamp)) {
+        parts[type] = Number(value);
+    }
+    return parts;
+}
+
+// How far `timeZone` is ahead of UTC at `timestamp`, in ms
+function zoneOffset(timestamp, timeZone = timeSettings.timeZone) {
+    const p = zonedParts(timestamp, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Start of the `stepMs` slot holding `timestamp`. Hour-and-up steps follow
+ * the display zone's wall clock, with the offset looked up at `timestamp`
+ * so slots stay on the hour across a DST change; shorter steps use UTC.
+ */
+function zoneFloor(timestamp, stepMs) {
+    if (stepMs < HOUR_MS) return Math.floor(timestamp / stepMs) * stepMs;
+    
+    const wall = Math.floor((timestamp + zoneOffset(timestamp)) / stepMs) * stepMs;
+    return wall - zoneOffset(wall - zoneOffset(timestamp));
+}
+
+// Start of the slot after the one starting at `slotStart`; it may be an hour off `stepMs` around DST
+function nextZoneSlot(slotStart, stepMs) {
+    return zoneFloor(slotStart + stepMs * 1.5, stepMs);
+}
+
+// Epoch ms of a wall-clock time in `timeZone` (day may overflow, as with Date.UTC)
+function zonedTime(year, month, day, hour, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour);
+    const guess = wall - zoneOffset(wall, timeZone);
+    return wall - zoneOffset(guess, timeZone);
+}
+
+// When the trading day stored as `day` ('YYYY-MM-DD') begins
+function tradingDayStart(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return zonedTime(year, month, date, timeSettings.dayStartHour, CONFIG.dayTimeZone);
+}
+
+// Start of the trading day after the one containing `timestamp`
+function nextTradingDayStart(timestamp) {
+    const p = zonedParts(timestamp - timeSettings.dayStartHour * HOUR_MS, CONFIG.dayTimeZone);
+    return zonedTime(p.year, p.month, p.day + 1, timeSettings.dayStartHour, CONFIG.dayTimeZone);
+}
+
+// ============================================
+// Markets
+// ============================================
+
+/**
+ * Assets of the bot on screen. Everything that prints a price or an amount
+ * goes through formatQuote / formatBase so switching pairs relabels the
+ * whole page. `priceDecimals` null means "work it out from the first price".
+ */
+const market = { id: null, name: '', pair: '', base: 'ETH', quote: 'USDC', priceDecimals: null };
+
+// Quote assets shown as dollars
+const USD_QUOTES = ['USD', 'USDC', 'USDT', 'DAI', 'BUSD', 'TUSD', 'FDUSD', 'PYUSD'];
+
+// Assets gas (`gasEth`) is paid in
+const ETH_ASSETS = ['ETH', 'WETH'];
+
+// Enough decimals for four significant figures below 1, cents above
+function inferPriceDecimals(price) {
+    if (!(price > 0) || price >= 1) return 2;
+    return Math.min(8, 3 - Math.floor(Math.log10(price)));
+}
+
+function adoptPricePrecision(target, price) {
+    if (!Number.isInteger(target.priceDecimals)) target.priceDecimals = inferPriceDecimals(price);
+}
+
+/**
+ * An amount of the quote asset: '$3,012.50' for dollar quotes, '0.05120 ETH'
+ * otherwise. `compact` shortens 10,000 and up to '65.2k'.
+ */
+function formatQuote(value, { decimals, signed = false, compact = false, assets = market } = {}) {
+    if (decimals === undefined) decimals = Number.isInteger(assets.priceDecimals) ? assets.priceDecimals : 2;
+    
+    const sign = value < 0 ? '-' : (signed && value > 0 ? '+' : '');
+    const magnitude = Math.abs(value);
+    const digits = compact && magnitude >= 10000
+        ? (magnitude / 1000).toFixed(1) + 'k'
+        : magnitude.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    
+    return USD_QUOTES.includes(assets.quote) ? `${sign}$${digits}` : `${sign}${digits} ${assets.quote}`;
+}
+
+// An amount of the base asset, e.g. '0.4512 ETH'
+function formatBase(amount, assets = market) {
+    return amount.toLocaleString('en-US', { maximumFractionDigits: 4 }) + ' ' + assets.base;
+}
+
+// Signed percentage, e.g. '+1.25%'
+function formatPercent(percent, digits = 2) {
+    return `${percent >= 0 ? '+' : ''}${percent.toFixed(digits)}%`;
+}
+
+// ============================================
+// Downsampling
+// ============================================
+
+/**
+ * Largest-Triangle-Three-Buckets: reduce `points` to `threshold` points while
+ * keeping the visual shape (peaks and troughs survive). Returns the original
+ * point objects. `getX` / `getY` read the coordinates of a point.
+ */
+function lttb(points, threshold, getX, getY) {
+    const length = points.length;
+    if (threshold >= length || threshold < 3) return points;
+    
+    const sampled = [points[0]];
+    const bucketSize = (length - 2) / (threshold - 2);
+    let a = 0;
+    
+    for (let i = 0; i < threshold - 2; i++) {
+        // Average of the next bucket is the third triangle vertex
+        const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+        const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, length);
+        let avgX = 0;
+        let avgY = 0;
+        for (let j = nextStart; j < nextEnd; j++) {
+            avgX += getX(points[j]);
+            avgY += getY(points[j]);
+        }
+        avgX /= (nextEnd - nextStart);
+        avgY /= (nextEnd - nextStart);
+        
+        // Pick the point in this bucket forming the largest triangle
+        const start = Math.floor(i * bucketSize) + 1;
+        const end = Math.floor((i + 1) * bucketSize) + 1;
+        const ax = getX(points[a]);
+        const ay = getY(points[a]);
+        let maxArea = -1;
+        let next = start;
+        for (let j = start; j < end; j++) {
+            const area = Math.abs((ax - avgX) * (getY(points[j]) - ay) - (ax - getX(points[j])) * (avgY - ay));
+            if (area > maxArea) {
+                maxArea = area;
+                next = j;
+            }
+        }
+        
+        sampled.push(points[next]);
+        a = next;
+    }
+    
+    sampled.push(points[length - 1]);
+    return sampled;
+}
+
 // ============================================
 // Chart Class
 // ============================================
 class TrahnChart {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
         this.tooltip = document.getElementById('tooltip');
         
+        // Stacked canvases, bottom to top. `canvas` (the data layer) takes
+        // the input; drawing methods paint into whichever layer `ctx` is.
+        this.layers = {
+            background: { canvas: document.getElementById(`${canvasId}-background`) },
+            data: { canvas: this.canvas },
+            overlay: { canvas: document.getElementById(`${canvasId}-overlay`) }
+        };
+        for (const layer of Object.values(this.layers)) layer.ctx = layer.canvas.getContext('2d');
+        this.ctx = this.layers.data.ctx;
+        this.dirtyLayers = new Set();
+        this.frame = null;          // Pending requestAnimationFrame id
+        this.backgroundKey = null;  // Inputs the background layer was last painted with
+        
         // Chart configuration
         this.padding = { top: 20, right: 80, bottom: 40, left: 20 };
+        this.paneGap = 14;
         this.colors = {
             line: '#58a6ff',
             green: '#3fb950',
@@ -35,17 +416,44 @@ class TrahnChart {
             textMuted: '#484f58',
             baseline: '#30363d',
             buy: '#f0c000',
-            sell: '#db6d28'
+            sell: '#db6d28',
+            gap: 'rgba(139, 148, 158, 0.07)',
+            annotation: '#f2cc60',
+            event: '#a371f7',
+            panel: '#161b22'
         };
+        this.chartType = 'area';        // 'line' | 'area' | 'candles'
+        this.scale = { mode: 'linear', fitTrades: true, fitGrid: false, manual: null }; // See setScale()
+        this.candleInterval = 'auto';   // 'auto' or a CANDLE_INTERVALS label
         
         // Data
         this.priceData = [];
         this.trades = [];
+        this.grid = [];
+        this.panes = [];
+        this.indicators = [];       // [{ id, type, params, color, enabled, cache }]
+        this.comparisons = [];      // Other days over this one, see setComparisons()
+        this.compareMode = 'absolute';
+        this.compareTrades = false; // Faded trade markers for compared days
+        this.annotations = [];      // Notes and markers, see setAnnotations()
+        this.simulatedTrades = [];  // Ghost fills from the grid simulator
+        this.crosshair = null;      // { timestamp, price } under the cursor / keyboard focus
+        this.measure = null;        // { start, end } of a shift-drag, both { timestamp, price }
+        this.hasVolume = false;
+        this.dayBoundaries = [];
+        this.gaps = [];
+        this.candleCache = null;
+        this.lineCache = null;
         this.baselinePrice = 0;
         
         // State
         this.hoveredPoint = null;
         this.hoveredTrade = null;
+        this.highlightedTradeKey = null;
+        this.view = null;          // { start, end } when zoomed, null = fit whole day
+        this.pointers = new Map(); // Active pointers for drag / pinch
+        this.gesture = null;
+        this.listeners = {};
         
         // Setup
         this.setupCanvas();
@@ -55,31 +463,141 @@ class TrahnChart {
     setupCanvas() {
         const rect = this.canvas.getBoundingClientRect();
         const dpr = window.devicePixelRatio || 1;
+        const width = Math.round(rect.width * dpr);
+        const height = Math.round(rect.height * dpr);
         
-        this.canvas.width = rect.width * dpr;
-        this.canvas.height = rect.height * dpr;
-        
-        this.ctx.scale(dpr, dpr);
+        for (const { canvas, ctx } of Object.values(this.layers)) {
+            // Setting the size clears the canvas, so only when it changed
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+                this.backgroundKey = null;
+            }
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        }
         
         this.width = rect.width;
         this.height = rect.height;
         this.chartWidth = this.width - this.padding.left - this.padding.right;
-        this.chartHeight = this.height - this.padding.top - this.padding.bottom;
+        this.chartHeight = this.height - this.padding.top - this.padding.bottom - this.panesHeight();
+    }
+    
+    /**
+     * Grow the canvas by the height of any sub-panes so the price area keeps
+     * its size, then re-measure.
+     */
+    updateLayout() {
+        this.canvas.style.height = '';
+        
+        const extra = this.panesHeight();
+        if (extra > 0) {
+            this.canvas.style.height = this.canvas.getBoundingClientRect().height + extra + 'px';
+        }
+        
+        this.setupCanvas();
+    }
+    
+    handleResize() {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === this.width && rect.height === this.height) return;
+        
+        // Resizing cleared the canvases: paint now rather than a frame later
+        this.updateLayout();
+        this.draw();
+        this.flush();
     }
     
     setupEventListeners() {
-        window.addEventListener('resize', () => {
-            this.setupCanvas();
-            this.draw();
-        });
+        if (window.ResizeObserver) {
+            new ResizeObserver(() => this.handleResize()).observe(this.canvas);
+        } else {
+            window.addEventListener('resize', () => this.handleResize());
+        }
         
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.canvas.addEventListener('mouseleave', () => this.hideTooltip());
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hideTooltip();
+            this.setHoveredTrade(null);
+            this.setCrosshair(null);
+        });
+        
+        // Keyboard crosshair
+        this.canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.canvas.addEventListener('focus', () => {
+            if (!this.crosshair) this.stepCrosshair(0);
+        });
+        this.canvas.addEventListener('blur', () => {
+            this.hideTooltip();
+            this.setCrosshair(null);
+        });
+        
+        // Zoom & pan
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('dblclick', () => this.resetView());
+        
+        // Chart type & candle interval
+        this.chartTypeControl = document.getElementById('chart-type');
+        this.intervalSelect = document.getElementById('candle-interval');
+        this.chartTypeControl.addEventListener('click', (e) => {
+            if (e.target.dataset && e.target.dataset.type) this.setChartType(e.target.dataset.type);
+        });
+        this.intervalSelect.addEventListener('change', () => this.setCandleInterval(this.intervalSelect.value));
+    }
+    
+    setChartType(type) {
+        this.chartType = type;
+        
+        for (const button of this.chartTypeControl.querySelectorAll('[data-type]')) {
+            button.classList.toggle('active', button.dataset.type === type);
+        }
+        this.intervalSelect.classList.toggle('hidden', type !== 'candles');
+        
+        // Candles may need a wider view than the line had
+        if (this.view && this.view.end - this.view.start < this.minViewSpan()) {
+            this.setView(this.view.start, this.view.end);
+        } else if (this.priceData.length > 0) {
+            this.draw();
+        }
+        this.emit('settingschange');
+    }
+    
+    setCandleInterval(interval) {
+        this.candleInterval = interval;
+        this.intervalSelect.value = interval;
+        
+        if (this.priceData.length > 0) this.draw();
+        this.emit('settingschange');
+    }
+    
+    /**
+     * Change the display zone and / or trading-day start hour. Candles and
+     * day-anchored indicators are rebuilt.
+     */
+    setTimeSettings(changes) {
+        Object.assign(timeSettings, changes);
+        this.candleCache = null;
+        for (const indicator of this.indicators) indicator.cache = null;
+        
+        this.refreshIndicators();
+        this.emit('settingschange');
+    }
+    
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+    
+    emit(event, ...args) {
+        for (const handler of this.listeners[event] || []) {
+            handler(...args);
+        }
     }
     
     priceToY(price) {
-        const range = this.maxPrice - this.minPrice;
-        const normalized = (price - this.minPrice) / range;
+        const normalized = (this.toAxis(price) - this.axisMin) / (this.axisMax - this.axisMin);
         return this.padding.top + this.chartHeight * (1 - normalized);
     }
     
@@ -96,365 +614,5771 @@ class TrahnChart {
     
     yToPrice(y) {
         const normalized = 1 - (y - this.padding.top) / this.chartHeight;
-        return this.minPrice + normalized * (this.maxPrice - this.minPrice);
+        const value = this.axisMin + normalized * (this.axisMax - this.axisMin);
+        return this.scale.mode === 'log' ? Math.exp(value) : value;
+    }
+    
+    // Price -> position along the y-axis before scaling to pixels
+    toAxis(price) {
+        return this.scale.mode === 'log' ? Math.log(Math.max(price, this.minPrice / 1000)) : price;
+    }
+    
+    /**
+     * Y-axis settings: `mode` 'linear', 'log' or 'percent' (linear, labelled
+     * as % from the baseline), whether trade fills (`fitTrades`) and grid
+     * levels (`fitGrid`) widen the auto-range, and `manual` { min, max } to
+     * lock the range instead.
+     */
+    setScale(changes) {
+        Object.assign(this.scale, changes);
+        
+        if (this.priceData.length > 0) {
+            this.updateBounds();
+            this.draw();
+        }
+        this.emit('settingschange');
     }
     
-    setData(priceData, trades = []) {
+    setData(priceData, trades = [], grid = []) {
+        const previousMaxTime = this.dataMaxTime;
+        
         this.priceData = priceData;
         this.trades = trades;
+        this.grid = grid;
+        
+        // A measurement belongs to the data it was taken on
+        if (priceData.length === 0 || priceData[0].timestamp !== this.dataMinTime) this.measure = null;
         
         if (priceData.length === 0) {
-            this.drawEmpty();
+            this.view = null;
+            this.draw();
             return;
         }
         
-        // Calculate bounds
-        const prices = priceData.map(d => d.p || d.price);
-        const times = priceData.map(d => d.t || d.timestamp);
-        
-        this.minPrice = Math.min(...prices);
-        this.maxPrice = Math.max(...prices);
-        this.minTime = Math.min(...times);
-        this.maxTime = Math.max(...times);
-        
-        // Add 5% padding to price range
-        const pricePadding = (this.maxPrice - this.minPrice) * 0.05 || 10;
-        this.minPrice -= pricePadding;
-        this.maxPrice += pricePadding;
+        // Validated data is sorted by time
+        this.dataMinTime = priceData[0].timestamp;
+        this.dataMaxTime = priceData[priceData.length - 1].timestamp;
+        this.gaps = findGaps(priceData, CONFIG.gapThresholdMs);
+        this.hasVolume = priceData.some(point => point.volume > 0);
         
         // Set baseline as first price
-        this.baselinePrice = prices[0];
+        this.baselinePrice = priceData[0].price;
+        
+        if (this.view) {
+            if (this.view.end >= previousMaxTime) {
+                // Window was pinned to the live edge - keep following it
+                const shift = this.dataMaxTime - previousMaxTime;
+                this.view = { start: this.view.start + shift, end: this.view.end + shift };
+            }
+            if (this.view.end <= this.dataMinTime || this.view.start >= this.dataMaxTime) {
+                this.view = null;
+            }
+        }
         
+        this.computeIndicators();
+        this.syncIndicatorPanes();
+        this.comparisons.forEach(comparison => this.mapComparison(comparison));
+        this.updateBounds();
         this.draw();
+        this.emit('data');
     }
     
-    drawEmpty() {
-        this.ctx.clearRect(0, 0, this.width, this.height);
-        this.ctx.fillStyle = this.colors.textMuted;
-        this.ctx.font = '14px JetBrains Mono, monospace';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('No data for this day', this.width / 2, this.height / 2);
+    /**
+     * Midnight markers for multi-day ranges: [{ timestamp, label }].
+     * Takes effect on the next setData / draw.
+     */
+    setDayBoundaries(boundaries) {
+        this.dayBoundaries = boundaries;
     }
     
-    draw() {
-        this.ctx.clearRect(0, 0, this.width, this.height);
-        
-        if (this.priceData.length === 0) {
-            this.drawEmpty();
-            return;
+    /**
+     * Derive the visible time window from the current view and fit the
+     * price range to the ticks inside it.
+     */
+    updateBounds() {
+        if (this.view) {
+            const span = this.view.end - this.view.start;
+            const start = Math.max(this.dataMinTime, Math.min(this.view.start, this.dataMaxTime - span));
+            this.view = { start, end: Math.min(this.dataMaxTime, start + span) };
+            
+            if (this.view.start <= this.dataMinTime && this.view.end >= this.dataMaxTime) {
+                this.view = null;
+            }
         }
         
-        this.drawGrid();
-        this.drawBaseline();
-        this.drawGradientFill();
-        this.drawPriceLine();
-        this.drawYAxis();
-        this.drawXAxis();
-        this.drawTrades();
-        this.drawCurrentPrice();
-    }
-    
-    drawGrid() {
-        this.ctx.strokeStyle = this.colors.grid;
-        this.ctx.lineWidth = 1;
+        this.minTime = this.view ? this.view.start : this.dataMinTime;
+        this.maxTime = this.view ? this.view.end : this.dataMaxTime;
         
-        const priceStep = this.calculateNiceStep(this.maxPrice - this.minPrice, 5);
-        const startPrice = Math.ceil(this.minPrice / priceStep) * priceStep;
+        // Include the ticks just outside the window so edge segments stay in range
+        const first = Math.max(0, this.indexAtTime(this.minTime) - 1);
+        const last = Math.min(this.priceData.length - 1, this.indexAtTime(this.maxTime));
         
-        for (let price = startPrice; price <= this.maxPrice; price += priceStep) {
-            const y = this.priceToY(price);
-            this.ctx.beginPath();
-            this.ctx.moveTo(this.padding.left, y);
-            this.ctx.lineTo(this.width - this.padding.right, y);
-            this.ctx.stroke();
+        this.minPrice = Infinity;
+        this.maxPrice = -Infinity;
+        for (let i = first; i <= last; i++) {
+            const price = this.priceData[i].price;
+            if (price < this.minPrice) this.minPrice = price;
+            if (price > this.maxPrice) this.maxPrice = price;
         }
-    }
-    
-    drawBaseline() {
-        const y = this.priceToY(this.baselinePrice);
         
-        this.ctx.strokeStyle = this.colors.baseline;
-        this.ctx.lineWidth = 1;
-        this.ctx.setLineDash([4, 4]);
+        // Compared days too, over the same time of day
+        for (const comparison of this.comparisons) {
+            const points = comparison.points;
+            const end = Math.min(points.length, this.indexAtTime(this.maxTime, points) + 1);
+            for (let i = Math.max(0, this.indexAtTime(this.minTime, points) - 1); i < end; i++) {
+                if (points[i].price < this.minPrice) this.minPrice = points[i].price;
+                if (points[i].price > this.maxPrice) this.maxPrice = points[i].price;
+            }
+        }
         
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.padding.left, y);
-        this.ctx.lineTo(this.width - this.padding.right, y);
-        this.ctx.stroke();
+        // Keep overlays such as Bollinger bands in view
+        for (const indicator of this.indicators) {
+            if (!indicator.enabled || !indicator.cache || INDICATOR_TYPES[indicator.type].pane) continue;
+            
+            for (const values of Object.values(indicator.cache.values)) {
+                for (let i = first; i <= last; i++) {
+                    if (values[i] < this.minPrice) this.minPrice = values[i];
+                    if (values[i] > this.maxPrice) this.maxPrice = values[i];
+                }
+            }
+        }
         
-        this.ctx.setLineDash([]);
+        // Fills and grid levels in the window, when asked
+        if (this.scale.fitTrades) {
+            const end = this.indexAtTime(this.maxTime + 1, this.trades);
+            for (let i = this.indexAtTime(this.minTime, this.trades); i < end; i++) {
+                if (this.trades[i].price < this.minPrice) this.minPrice = this.trades[i].price;
+                if (this.trades[i].price > this.maxPrice) this.maxPrice = this.trades[i].price;
+            }
+        }
+        if (this.scale.fitGrid) {
+            this.grid.forEach((snapshot, i) => {
+                const next = this.grid[i + 1];
+                if (snapshot.timestamp > this.maxTime || (next && next.timestamp <= this.minTime)) return;
+                for (const level of snapshot.levels) {
+                    if (level.price < this.minPrice) this.minPrice = level.price;
+                    if (level.price > this.maxPrice) this.maxPrice = level.price;
+                }
+            });
+        }
         
-        this.ctx.fillStyle = this.colors.textMuted;
-        this.ctx.font = '11px JetBrains Mono, monospace';
-        this.ctx.textAlign = 'left';
-        this.ctx.fillText(this.formatPrice(this.baselinePrice), this.width - this.padding.right + 8, y + 4);
+        if (this.scale.manual) {
+            this.minPrice = this.scale.manual.min;
+            this.maxPrice = this.scale.manual.max;
+        } else if (this.scale.mode === 'log' && this.minPrice > 0) {
+            // 5% padding in log space
+            const ratio = Math.pow(this.maxPrice / this.minPrice, 0.05) || 1;
+            this.minPrice /= ratio === 1 ? 1.01 : ratio;
+            this.maxPrice *= ratio === 1 ? 1.01 : ratio;
+        } else {
+            // Add 5% padding to price range
+            const pricePadding = (this.maxPrice - this.minPrice) * 0.05 || 10;
+            this.minPrice -= pricePadding;
+            this.maxPrice += pricePadding;
+        }
+        
+        // Log needs a positive floor
+        if (this.scale.mode === 'log' && !(this.minPrice > 0)) this.minPrice = this.maxPrice / 1000;
+        this.axisMin = this.toAxis(this.minPrice);
+        this.axisMax = this.toAxis(this.maxPrice);
     }
     
-    drawGradientFill() {
-        if (this.priceData.length < 2) return;
-        
-        const baselineY = this.priceToY(this.baselinePrice);
-        
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.timeToX(this.priceData[0].t || this.priceData[0].timestamp), baselineY);
+    /**
+     * Y-axis ticks for the current mode as [{ price, label }]: nice price
+     * steps, nice percent steps from the baseline, or for log, round prices
+     * spaced about evenly by ratio.
+     */
+    priceTicks() {
+        const ticks = [];
         
-        const firstY = this.priceToY(this.priceData[0].p || this.priceData[0].price);
-        this.ctx.lineTo(this.timeToX(this.priceData[0].t || this.priceData[0].timestamp), firstY);
+        if (this.scale.mode === 'percent') {
+            const base = this.baselinePrice;
+            const low = (this.minPrice / base - 1) * 100;
+            const high = (this.maxPrice / base - 1) * 100;
+            const step = this.calculateNiceStep(high - low, 5);
+            const digits = Math.max(0, -Math.floor(Math.log10(step)));
+            for (let n = Math.ceil(low / step); n * step <= high; n++) {
+                ticks.push({ price: base * (1 + n * step / 100), label: formatPercent(n * step, digits) });
+            }
+        } else if (this.scale.mode === 'log') {
+            const ratio = Math.pow(this.maxPrice / this.minPrice, 1 / 5);
+            let price = this.minPrice;
+            while (ticks.length < 12) {
+                const step = this.calculateNiceStep(price * (ratio - 1), 1);
+                price = Math.ceil(price / step) * step;
+                if (price > this.maxPrice) break;
+                ticks.push({ price, label: this.formatPrice(price) });
+                price *= ratio;
+            }
+        } else {
+            const step = this.calculateNiceStep(this.maxPrice - this.minPrice, 5);
+            for (let price = Math.ceil(this.minPrice / step) * step; price <= this.maxPrice; price += step) {
+                ticks.push({ price, label: this.formatPrice(price) });
+            }
+        }
         
-        for (let i = 1; i < this.priceData.length; i++) {
-            const x = this.timeToX(this.priceData[i].t || this.priceData[i].timestamp);
-            const y = this.priceToY(this.priceData[i].p || this.priceData[i].price);
-            this.ctx.lineTo(x, y);
+        return ticks;
+    }
+    
+    /**
+     * Index of the first tick at or after `timestamp` (binary search).
+     */
+    indexAtTime(timestamp, points = this.priceData) {
+        let lo = 0;
+        let hi = points.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            const point = points[mid];
+            if ((point.timestamp) < timestamp) lo = mid + 1;
+            else hi = mid;
         }
+        return lo;
+    }
+    
+    // ----------------------------------------
+    // Zoom & pan
+    // ----------------------------------------
+    
+    isZoomed() {
+        return this.view !== null;
+    }
+    
+    // Closest zoom: ticks arrive every few seconds, but a candle chart needs at least two candles
+    minViewSpan() {
+        return this.chartType === 'candles' ? Math.max(CONFIG.minViewSpanMs, 2 * CANDLE_INTERVALS[0].ms) : CONFIG.minViewSpanMs;
+    }
+    
+    setView(start, end) {
+        if (this.priceData.length === 0) return;
         
-        const lastPoint = this.priceData[this.priceData.length - 1];
-        const lastX = this.timeToX(lastPoint.t || lastPoint.timestamp);
-        this.ctx.lineTo(lastX, baselineY);
-        this.ctx.closePath();
+        const fullSpan = this.dataMaxTime - this.dataMinTime;
+        const span = Math.max(Math.min(end - start, fullSpan), Math.min(this.minViewSpan(), fullSpan));
         
-        const gradient = this.ctx.createLinearGradient(0, this.padding.top, 0, this.height - this.padding.bottom);
-        gradient.addColorStop(0, this.colors.greenFill);
-        gradient.addColorStop(0.5, 'rgba(0,0,0,0)');
-        gradient.addColorStop(1, this.colors.redFill);
+        this.view = span >= fullSpan ? null : { start, end: start + span };
+        this.updateBounds();
+        this.draw();
+        this.emit('viewchange', this.view);
+    }
+    
+    resetView(redraw = true) {
+        this.view = null;
+        if (!redraw || this.priceData.length === 0) return;
         
-        this.ctx.fillStyle = gradient;
-        this.ctx.fill();
+        this.updateBounds();
+        this.draw();
+        this.emit('viewchange', this.view);
     }
     
-    drawPriceLine() {
+    zoomAt(x, factor) {
         if (this.priceData.length < 2) return;
         
-        this.ctx.beginPath();
-        this.ctx.strokeStyle = this.colors.line;
-        this.ctx.lineWidth = 2;
-        this.ctx.lineJoin = 'round';
-        this.ctx.lineCap = 'round';
+        const anchor = this.xToTime(x);
+        const span = this.maxTime - this.minTime;
+        const newSpan = span * factor;
+        const start = anchor - (anchor - this.minTime) * (newSpan / span);
         
-        const firstPoint = this.priceData[0];
-        this.ctx.moveTo(
-            this.timeToX(firstPoint.t || firstPoint.timestamp), 
-            this.priceToY(firstPoint.p || firstPoint.price)
-        );
+        this.setView(start, start + newSpan);
+    }
+    
+    panBy(dx) {
+        if (!this.view) return;
         
-        for (let i = 1; i < this.priceData.length; i++) {
-            const point = this.priceData[i];
-            const x = this.timeToX(point.t || point.timestamp);
-            const y = this.priceToY(point.p || point.price);
-            this.ctx.lineTo(x, y);
-        }
+        const dt = dx / this.chartWidth * (this.maxTime - this.minTime);
+        this.setView(this.view.start - dt, this.view.end - dt);
+    }
+    
+    isInPlotArea(x, y) {
+        return x >= this.padding.left && x <= this.width - this.padding.right &&
+            y >= this.padding.top && y <= this.padding.top + this.chartHeight;
+    }
+    
+    handleWheel(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        if (!this.isInPlotArea(x, y) || this.priceData.length < 2) return;
         
-        this.ctx.stroke();
+        e.preventDefault();
+        
+        // Normalise line / page deltas to pixels
+        const delta = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? this.height : 1);
+        this.zoomAt(x, Math.exp(delta * 0.0015));
     }
     
-    drawYAxis() {
-        this.ctx.fillStyle = this.colors.text;
-        this.ctx.font = '11px JetBrains Mono, monospace';
-        this.ctx.textAlign = 'left';
+    handlePointerDown(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        if (!this.isInPlotArea(x, y) || (e.pointerType === 'mouse' && e.button !== 0)) return;
         
-        const priceStep = this.calculateNiceStep(this.maxPrice - this.minPrice, 5);
-        const startPrice = Math.ceil(this.minPrice / priceStep) * priceStep;
+        this.canvas.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, x);
         
-        for (let price = startPrice; price <= this.maxPrice; price += priceStep) {
-            const y = this.priceToY(price);
-            this.ctx.fillText(this.formatPrice(price), this.width - this.padding.right + 8, y + 4);
+        // Shift-drag measures instead of panning
+        if (e.shiftKey && this.pointers.size === 1 && this.priceData.length > 0) {
+            const point = { timestamp: this.xToTime(x), price: this.yToPrice(y) };
+            this.gesture = { type: 'measure' };
+            this.measure = { start: point, end: point };
+            this.hideTooltip();
+            this.drawOverlay();
+            return;
         }
+        
+        this.startGesture();
     }
     
-    drawXAxis() {
-        this.ctx.fillStyle = this.colors.text;
-        this.ctx.font = '11px JetBrains Mono, monospace';
-        this.ctx.textAlign = 'center';
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
         
-        // For 24-hour view, show hours
-        const hourMs = 60 * 60 * 1000;
-        const rangeMs = this.maxTime - this.minTime;
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointers.set(e.pointerId, e.clientX - rect.left);
         
-        // Determine step based on range
-        let stepMs = hourMs * 4; // Every 4 hours by default
-        if (rangeMs < hourMs * 6) stepMs = hourMs; // If < 6 hours, every hour
-        if (rangeMs < hourMs * 2) stepMs = hourMs / 2; // If < 2 hours, every 30 min
+        const gesture = this.gesture;
         
-        let current = Math.ceil(this.minTime / stepMs) * stepMs;
+        if (gesture.type === 'measure') {
+            const x = Math.min(Math.max(e.clientX - rect.left, this.padding.left), this.width - this.padding.right);
+            const y = Math.min(Math.max(e.clientY - rect.top, this.padding.top), this.padding.top + this.chartHeight);
+            this.measure.end = { timestamp: this.xToTime(x), price: this.yToPrice(y) };
+            this.drawOverlay();
+            return;
+        }
         
-        while (current <= this.maxTime) {
-            const x = this.timeToX(current);
-            if (x >= this.padding.left && x <= this.width - this.padding.right) {
-                const date = new Date(current);
-                const label = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
-                this.ctx.fillText(label, x, this.height - this.padding.bottom + 20);
+        const xs = [...this.pointers.values()];
+        
+        if (gesture.type === 'pan') {
+            const dx = xs[0] - gesture.x;
+            if (Math.abs(dx) > 2) {
+                gesture.moved = true;
+                this.canvas.classList.add('dragging');
+                this.hideTooltip();
+            }
+            if (gesture.moved && this.view) {
+                const dt = dx / this.chartWidth * (gesture.end - gesture.start);
+                this.setView(gesture.start - dt, gesture.end - dt);
             }
-            current += stepMs;
+        } else if (gesture.type === 'pinch' && xs.length >= 2) {
+            const distance = Math.max(Math.abs(xs[0] - xs[1]), 10);
+            const span = (gesture.end - gesture.start) * gesture.distance / distance;
+            const mid = (xs[0] + xs[1]) / 2;
+            const start = gesture.anchor - (mid - this.padding.left) / this.chartWidth * span;
+            this.setView(start, start + span);
         }
     }
     
-    drawTrades() {
-        for (const trade of this.trades) {
-            const x = this.timeToX(trade.t || trade.timestamp);
-            const y = this.priceToY(trade.price);
-            
-            if (x < this.padding.left || x > this.width - this.padding.right) continue;
-            
-            const color = trade.side === 'buy' ? this.colors.buy : this.colors.sell;
-            const radius = 7;
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        
+        const gesture = this.gesture;
+        this.pointers.delete(e.pointerId);
+        this.canvas.classList.remove('dragging');
+        
+        // The measurement stays up until the next click or Escape
+        if (gesture.type === 'measure') {
+            if (this.measure.start.timestamp === this.measure.end.timestamp) this.measure = null;
+            this.startGesture();
+            this.drawOverlay();
+            return;
+        }
+        this.startGesture();
+        
+        // A click rather than a drag
+        if (e.type === 'pointerup' && gesture.type === 'pan' && !gesture.moved && this.priceData.length > 0) {
+            if (this.measure) {
+                this.measure = null;
+                this.drawOverlay();
+            }
             
-            // Glow effect
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, radius + 4, 0, Math.PI * 2);
-            this.ctx.fillStyle = color + '33';
-            this.ctx.fill();
+            // `trade` is the marker clicked, if any; a listener that acts on
+            // the click sets `handled` so later ones leave it alone
+            const rect = this.canvas.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+            this.emit('plotclick', {
+                timestamp: this.xToTime(x),
+                price: this.yToPrice(y),
+                trade: this.tradeAt(x, y),
+                handled: false
+            });
+        }
+    }
+    
+    startGesture() {
+        const xs = [...this.pointers.values()];
+        
+        if (xs.length === 0) {
+            this.gesture = null;
+        } else if (xs.length === 1) {
+            this.gesture = { type: 'pan', x: xs[0], start: this.minTime, end: this.maxTime, moved: false };
+        } else {
+            const mid = (xs[0] + xs[1]) / 2;
+            this.gesture = {
+                type: 'pinch',
+                distance: Math.max(Math.abs(xs[0] - xs[1]), 10),
+                anchor: this.xToTime(mid),
+                start: this.minTime,
+                end: this.maxTime
+            };
+            this.hideTooltip();
+        }
+    }
+    
+    drawEmpty() {
+        this.ctx.fillStyle = this.colors.textMuted;
+        this.ctx.font = '14px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('No data for this day', this.width / 2, this.height / 2);
+    }
+    
+    // ----------------------------------------
+    // Layers
+    // ----------------------------------------
+    
+    /**
+     * Repaint everything on the next animation frame. The background is
+     * skipped when nothing it shows has changed.
+     */
+    draw() {
+        this.requestDraw('background', 'data', 'overlay');
+    }
+    
+    // Crosshair, measurement and highlight only - for pointer and keyboard moves
+    drawOverlay() {
+        this.requestDraw('overlay');
+    }
+    
+    /**
+     * Mark layers dirty and paint them on the next animation frame, so a
+     * burst of changes (mousemoves, ticks, settings) costs one paint.
+     */
+    requestDraw(...layers) {
+        layers.forEach(layer => this.dirtyLayers.add(layer));
+        if (this.frame === null) this.frame = requestAnimationFrame(() => this.flush());
+    }
+    
+    // Paint the dirty layers now
+    flush() {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        
+        const dirty = this.dirtyLayers;
+        this.dirtyLayers = new Set();
+        
+        if (dirty.has('background')) {
+            const key = this.backgroundSignature();
+            if (key === this.backgroundKey) dirty.delete('background');
+            this.backgroundKey = key;
+        }
+        
+        for (const name of Object.keys(this.layers)) {
+            if (!dirty.has(name)) continue;
             
-            // Outer ring
+            this.ctx = this.layers[name].ctx;
+            this.ctx.clearRect(0, 0, this.width, this.height);
+            if (this.priceData.length > 0) this.paintLayer(name);
+            else if (name === 'background') this.drawEmpty();
+        }
+        this.ctx = this.layers.data.ctx;
+        
+        if (dirty.has('background') || dirty.has('data')) this.emit('draw');
+    }
+    
+    // Everything the background layer's pixels depend on
+    backgroundSignature() {
+        if (this.priceData.length === 0) return 'empty';
+        
+        return [
+            this.width, this.height, this.chartHeight,
+            this.minTime, this.maxTime, this.axisMin, this.axisMax, this.scale.mode, this.baselinePrice,
+            market.quote, market.priceDecimals, timeSettings.timeZone, timeSettings.dayStartHour,
+            this.gaps.map(gap => `${gap.start}-${gap.end}`).join(),
+            this.dayBoundaries.map(boundary => boundary.timestamp).join()
+        ].join('|');
+    }
+    
+    paintLayer(name) {
+        if (name === 'background') {
+            // Repaints are skipped while backgroundSignature() is unchanged, so
+            // every input these methods read has to be part of it
+            this.drawGrid();
+            this.drawGaps();
+            this.drawDayBoundaries();
+            this.drawBaseline();
+            this.drawYAxis();
+            this.drawXAxis();
+        } else if (name === 'data') {
+            this.drawGridLevels();
+            this.drawComparisons();
+            if (this.chartType === 'candles') {
+                this.drawCandles();
+            } else {
+                if (this.chartType === 'area') this.drawGradientFill();
+                this.drawPriceLine();
+            }
+            this.drawIndicators();
+            this.drawPanes();
+            this.drawComparisonTrades();
+            this.drawAnnotations();
+            this.drawSimulatedTrades();
+            this.drawTrades();
+            this.drawCurrentPrice();
+        } else {
+            this.drawHighlightedTrade();
+            this.drawMeasure();
+            this.drawCrosshair();
+        }
+    }
+    
+    /**
+     * Restrict subsequent drawing to the plot area so zoomed-out-of-view
+     * segments don't spill over the axes. Pair with ctx.restore().
+     */
+    clipToPlot() {
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(this.padding.left, this.padding.top, this.chartWidth, this.chartHeight);
+        this.ctx.clip();
+    }
+    
+    drawGrid() {
+        this.ctx.strokeStyle = this.colors.grid;
+        this.ctx.lineWidth = 1;
+        
+        for (const { price } of this.priceTicks()) {
+            const y = this.priceToY(price);
             this.ctx.beginPath();
-            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
-            this.ctx.fillStyle = color;
-            this.ctx.fill();
+            this.ctx.moveTo(this.padding.left, y);
+            this.ctx.lineTo(this.width - this.padding.right, y);
+            this.ctx.stroke();
+        }
+    }
+    
+    drawDayBoundaries() {
+        if (this.dayBoundaries.length === 0) return;
+        
+        const bottom = this.padding.top + this.chartHeight + this.panesHeight();
+        
+        this.ctx.strokeStyle = this.colors.baseline;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([2, 3]);
+        this.ctx.font = '10px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillStyle = this.colors.textMuted;
+        
+        for (const boundary of this.dayBoundaries) {
+            const x = this.timeToX(boundary.timestamp);
+            if (x < this.padding.left || x > this.width - this.padding.right) continue;
             
-            // Inner dot
             this.ctx.beginPath();
-            this.ctx.arc(x, y, radius - 3, 0, Math.PI * 2);
-            this.ctx.fillStyle = '#0d1117';
-            this.ctx.fill();
+            this.ctx.moveTo(x, this.padding.top);
+            this.ctx.lineTo(x, bottom);
+            this.ctx.stroke();
+            this.ctx.fillText(boundary.label, x + 4, this.padding.top + 10);
         }
+        
+        this.ctx.setLineDash([]);
     }
     
-    drawCurrentPrice() {
-        if (this.priceData.length === 0) return;
+    drawBaseline() {
+        const y = this.priceToY(this.baselinePrice);
         
-        const lastPoint = this.priceData[this.priceData.length - 1];
-        const price = lastPoint.p || lastPoint.price;
-        const y = this.priceToY(price);
-        const x = this.width - this.padding.right;
+        this.ctx.strokeStyle = this.colors.baseline;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
         
-        const isUp = price >= this.baselinePrice;
-        const color = isUp ? this.colors.green : this.colors.red;
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.padding.left, y);
+        this.ctx.lineTo(this.width - this.padding.right, y);
+        this.ctx.stroke();
         
-        this.ctx.fillStyle = color;
-        const tagWidth = 70;
-        const tagHeight = 22;
-        this.roundRect(x + 4, y - tagHeight / 2, tagWidth, tagHeight, 4);
-        this.ctx.fill();
+        this.ctx.setLineDash([]);
         
-        this.ctx.fillStyle = '#fff';
-        this.ctx.font = 'bold 11px JetBrains Mono, monospace';
+        this.ctx.fillStyle = this.colors.textMuted;
+        this.ctx.font = '11px JetBrains Mono, monospace';
         this.ctx.textAlign = 'left';
-        this.ctx.fillText(this.formatPrice(price), x + 10, y + 4);
+        this.ctx.fillText(this.formatPrice(this.baselinePrice), this.width - this.padding.right + 8, y + 4);
     }
     
-    handleMouseMove(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    /**
+     * Grid levels as horizontal bands. Each snapshot covers the time from its
+     * own timestamp until the next one, so re-centres show up as steps.
+     */
+    drawGridLevels() {
+        if (this.grid.length === 0) return;
         
-        if (x < this.padding.left || x > this.width - this.padding.right ||
-            y < this.padding.top || y > this.height - this.padding.bottom) {
-            this.hideTooltip();
-            return;
-        }
+        this.clipToPlot();
+        this.ctx.font = '10px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'right';
         
-        const timestamp = this.xToTime(x);
-        let nearestPoint = null;
-        let nearestDistance = Infinity;
+        // Only the grid in force at the right edge gets labels
+        let labelIndex = 0;
+        while (labelIndex < this.grid.length - 1 && this.grid[labelIndex + 1].timestamp <= this.maxTime) {
+            labelIndex++;
+        }
         
-        for (const point of this.priceData) {
-            const t = point.t || point.timestamp;
-            const distance = Math.abs(t - timestamp);
-            if (distance < nearestDistance) {
-                nearestDistance = distance;
-                nearestPoint = point;
+        for (let i = 0; i < this.grid.length; i++) {
+            const snapshot = this.grid[i];
+            const next = this.grid[i + 1];
+            const startX = Math.max(this.padding.left, this.timeToX(snapshot.timestamp));
+            const endX = Math.min(this.width - this.padding.right, next ? this.timeToX(next.timestamp) : Infinity);
+            if (endX <= startX && i !== labelIndex) continue;
+            
+            for (const level of snapshot.levels) {
+                const y = this.priceToY(level.price);
+                const color = level.side === 'buy' ? this.colors.buy : this.colors.sell;
+                
+                if (level.status === 'open') {
+                    // Resting order: solid band
+                    this.ctx.fillStyle = color + '1f';
+                    this.ctx.fillRect(startX, y - 3, endX - startX, 6);
+                    this.ctx.strokeStyle = color + 'aa';
+                    this.ctx.setLineDash([]);
+                } else if (level.status === 'filled') {
+                    // Filled, waiting on the counter order
+                    this.ctx.strokeStyle = color + 'aa';
+                    this.ctx.setLineDash([6, 4]);
+                } else {
+                    this.ctx.strokeStyle = color + '44';
+                    this.ctx.setLineDash([2, 4]);
+                }
+                
+                this.ctx.lineWidth = 1;
+                this.ctx.beginPath();
+                this.ctx.moveTo(startX, y);
+                this.ctx.lineTo(endX, y);
+                this.ctx.stroke();
+                
+                if (i === labelIndex) {
+                    const tag = (level.side === 'buy' ? 'B ' : 'S ') + this.formatPrice(level.price) +
+                        (level.status === 'filled' ? ' ✓' : '');
+                    this.ctx.fillStyle = color + (level.status === 'idle' ? '66' : 'cc');
+                    this.ctx.fillText(tag, endX - 4, y - 4);
+                }
             }
         }
         
-        let nearestTrade = null;
-        for (const trade of this.trades) {
-            const tradeX = this.timeToX(trade.t || trade.timestamp);
-            const tradeY = this.priceToY(trade.price);
-            const distance = Math.sqrt((x - tradeX) ** 2 + (y - tradeY) ** 2);
-            if (distance < 15) {
-                nearestTrade = trade;
-                break;
+        this.ctx.setLineDash([]);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Feed gaps in view: a shaded band with the length of the outage, so the
+     * line doesn't pretend to know what happened in between.
+     */
+    drawGaps() {
+        if (this.gaps.length === 0) return;
+        
+        this.clipToPlot();
+        this.ctx.font = '10px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'center';
+        
+        for (const gap of this.gaps) {
+            if (gap.end < this.minTime || gap.start > this.maxTime) continue;
+            
+            const x1 = this.timeToX(gap.start);
+            const x2 = this.timeToX(gap.end);
+            this.ctx.fillStyle = this.colors.gap;
+            this.ctx.fillRect(x1, this.padding.top, x2 - x1, this.chartHeight);
+            
+            this.ctx.strokeStyle = this.colors.baseline;
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([2, 3]);
+            this.ctx.beginPath();
+            for (const x of [x1, x2]) {
+                this.ctx.moveTo(Math.round(x) + 0.5, this.padding.top);
+                this.ctx.lineTo(Math.round(x) + 0.5, this.padding.top + this.chartHeight);
+            }
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            
+            if (x2 - x1 > 70) {
+                this.ctx.fillStyle = this.colors.textMuted;
+                this.ctx.fillText(`No data · ${formatDuration(gap.end - gap.start)}`, (x1 + x2) / 2, this.padding.top + 14);
             }
         }
         
-        if (nearestPoint) {
-            this.showTooltip(e.clientX, e.clientY, nearestPoint, nearestTrade);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Ticks to draw for the line / area: the visible slice (plus one point
+     * either side) split at feed gaps, each run downsampled with LTTB to
+     * about one point per pixel.
+     */
+    getLineSegments() {
+        const key = [this.priceData.length, this.minTime, this.maxTime, this.chartWidth].join();
+        if (this.lineCache && this.lineCache.data === this.priceData && this.lineCache.key === key) {
+            return this.lineCache.segments;
         }
+        
+        const first = Math.max(0, this.indexAtTime(this.minTime) - 1);
+        const last = Math.min(this.priceData.length, this.indexAtTime(this.maxTime) + 1);
+        const pxPerMs = this.chartWidth / (this.maxTime - this.minTime);
+        const segments = splitAtGaps(this.priceData.slice(first, last), CONFIG.gapThresholdMs).map(run => lttb(
+            run,
+            Math.round((run[run.length - 1].timestamp - run[0].timestamp) * pxPerMs),
+            point => point.timestamp,
+            point => point.price
+        ));
+        
+        this.lineCache = { data: this.priceData, key, segments };
+        return segments;
     }
     
-    showTooltip(mouseX, mouseY, point, trade = null) {
-        const price = point.p || point.price;
-        const timestamp = point.t || point.timestamp;
-        const date = new Date(timestamp);
-        const timeStr = date.toLocaleString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+    drawGradientFill() {
+        const baselineY = this.priceToY(this.baselinePrice);
         
-        let html = `
-            <div class="price">$${price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>
-            <div class="time">${timeStr}</div>
-        `;
+        const gradient = this.ctx.createLinearGradient(0, this.padding.top, 0, this.padding.top + this.chartHeight);
+        gradient.addColorStop(0, this.colors.greenFill);
+        gradient.addColorStop(0.5, 'rgba(0,0,0,0)');
+        gradient.addColorStop(1, this.colors.redFill);
         
-        if (trade) {
-            const sideLabel = trade.side === 'buy' ? 'BUY' : 'SELL';
-            const amount = trade.usdValue ? `$${trade.usdValue.toFixed(2)}` : '';
-            html += `<div class="trade-info ${trade.side}">${sideLabel} ${amount}</div>`;
+        this.clipToPlot();
+        this.ctx.beginPath();
+        
+        for (const points of this.getLineSegments()) {
+            if (points.length < 2) continue;
+            
+            this.ctx.moveTo(this.timeToX(points[0].timestamp), baselineY);
+            for (const point of points) {
+                this.ctx.lineTo(this.timeToX(point.timestamp), this.priceToY(point.price));
+            }
+            this.ctx.lineTo(this.timeToX(points[points.length - 1].timestamp), baselineY);
+            this.ctx.closePath();
         }
         
-        this.tooltip.innerHTML = html;
-        this.tooltip.classList.add('visible');
+        this.ctx.fillStyle = gradient;
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+    
+    drawPriceLine() {
+        this.clipToPlot();
+        this.ctx.beginPath();
+        this.ctx.strokeStyle = this.colors.line;
+        this.ctx.lineWidth = 2;
+        this.ctx.lineJoin = 'round';
+        this.ctx.lineCap = 'round';
         
-        const rect = this.canvas.getBoundingClientRect();
-        let tooltipX = mouseX - rect.left + 15;
-        let tooltipY = mouseY - rect.top - 10;
+        for (const points of this.getLineSegments()) {
+            const x = this.timeToX(points[0].timestamp);
+            const y = this.priceToY(points[0].price);
+            this.ctx.moveTo(x, y);
+            
+            // An isolated tick between two gaps still gets a dot
+            if (points.length === 1) this.ctx.lineTo(x + 0.1, y);
+            
+            for (let i = 1; i < points.length; i++) {
+                this.ctx.lineTo(this.timeToX(points[i].timestamp), this.priceToY(points[i].price));
+            }
+        }
+        
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    // ----------------------------------------
+    // Day-over-day comparison
+    // ----------------------------------------
+    
+    /**
+     * Draw other days over this one, aligned by time of day:
+     * [{ id, label, color, offset, prices, trades }], where `offset` is
+     * added to their timestamps to line them up with the primary day.
+     */
+    setComparisons(comparisons) {
+        this.comparisons = comparisons;
+        comparisons.forEach(comparison => this.mapComparison(comparison));
+        this.redrawComparisons();
+    }
+    
+    /**
+     * `mode` 'absolute' plots compared days at their own prices; 'percent'
+     * starts each at this day's open and moves it by the same percentage it
+     * moved from its own open. `showTrades` adds their trades, faded.
+     */
+    setCompareOptions({ mode = this.compareMode, showTrades = this.compareTrades }) {
+        this.compareMode = mode;
+        this.compareTrades = showTrades;
+        this.comparisons.forEach(comparison => this.mapComparison(comparison));
+        this.redrawComparisons();
+    }
+    
+    redrawComparisons() {
+        if (this.priceData.length === 0) return;
+        this.updateBounds();
+        this.draw();
+    }
+    
+    // Shift (and for 'percent', rescale) a compared day onto this one
+    mapComparison(comparison) {
+        const open = comparison.prices.length > 0 ? comparison.prices[0].price : 0;
+        const scale = this.compareMode === 'percent' && open > 0 ? this.baselinePrice / open : 1;
+        const key = `${scale}:${comparison.prices.length}:${comparison.trades.length}`;
+        if (comparison.mapKey === key) return;
+        
+        comparison.mapKey = key;
+        comparison.lineCache = null;
+        comparison.points = comparison.prices.map(point => ({
+            timestamp: point.timestamp + comparison.offset,
+            price: point.price * scale
+        }));
+        comparison.markers = comparison.trades.map(trade => ({
+            timestamp: trade.timestamp + comparison.offset,
+            price: trade.price * scale,
+            side: trade.side
+        }));
+    }
+    
+    // Same sampling as getLineSegments, per compared day
+    comparisonSegments(comparison) {
+        const key = [comparison.points.length, this.minTime, this.maxTime, this.chartWidth].join();
+        if (comparison.lineCache && comparison.lineCache.key === key) return comparison.lineCache.segments;
+        
+        const points = comparison.points;
+        const first = Math.max(0, this.indexAtTime(this.minTime, points) - 1);
+        const last = Math.min(points.length, this.indexAtTime(this.maxTime, points) + 1);
+        const pxPerMs = this.chartWidth / (this.maxTime - this.minTime);
+        const segments = splitAtGaps(points.slice(first, last), CONFIG.gapThresholdMs).map(run => lttb(
+            run,
+            Math.round((run[run.length - 1].timestamp - run[0].timestamp) * pxPerMs),
+            point => point.timestamp,
+            point => point.price
+        ));
+        
+        comparison.lineCache = { key, segments };
+        return segments;
+    }
+    
+    drawComparisons() {
+        if (this.comparisons.length === 0) return;
+        
+        this.clipToPlot();
+        this.ctx.lineWidth = 1.5;
+        this.ctx.lineJoin = 'round';
+        this.ctx.lineCap = 'round';
+        
+        for (const comparison of this.comparisons) {
+            this.ctx.beginPath();
+            this.ctx.strokeStyle = comparison.color;
+            
+            for (const points of this.comparisonSegments(comparison)) {
+                this.ctx.moveTo(this.timeToX(points[0].timestamp), this.priceToY(points[0].price));
+                for (let i = 1; i < points.length; i++) {
+                    this.ctx.lineTo(this.timeToX(points[i].timestamp), this.priceToY(points[i].price));
+                }
+            }
+            
+            this.ctx.stroke();
+        }
+        
+        this.ctx.restore();
+    }
+    
+    drawComparisonTrades() {
+        if (!this.compareTrades) return;
+        
+        for (const comparison of this.comparisons) {
+            for (const marker of comparison.markers) {
+                const x = this.timeToX(marker.timestamp);
+                if (x < this.padding.left || x > this.width - this.padding.right) continue;
+                
+                this.ctx.beginPath();
+                this.ctx.arc(x, this.priceToY(marker.price), 4, 0, Math.PI * 2);
+                this.ctx.fillStyle = (marker.side === 'buy' ? this.colors.buy : this.colors.sell) + '55';
+                this.ctx.fill();
+                this.ctx.strokeStyle = comparison.color;
+                this.ctx.lineWidth = 1;
+                this.ctx.stroke();
+            }
+        }
+    }
+    
+    // Compared day's point nearest `timestamp` (primary-day time), if any close by
+    comparisonAt(comparison, timestamp) {
+        const points = comparison.points;
+        const index = this.indexAtTime(timestamp, points);
+        let nearest = null;
+        for (const point of [points[index - 1], points[index]]) {
+            if (point && (!nearest || Math.abs(point.timestamp - timestamp) < Math.abs(nearest.timestamp - timestamp))) {
+                nearest = point;
+            }
+        }
+        return nearest && Math.abs(nearest.timestamp - timestamp) <= CONFIG.gapThresholdMs ? nearest : null;
+    }
+    
+    // ----------------------------------------
+    // Annotations
+    // ----------------------------------------
+    
+    /**
+     * Notes pinned to the chart: [{ id, kind, timestamp, price, text, source }].
+     * kind 'note' sits at a time and price, 'time' is a vertical marker and
+     * 'price' a horizontal line; source 'bot' ones came from the backend.
+     */
+    setAnnotations(annotations) {
+        this.annotations = annotations;
+        if (this.priceData.length > 0) this.requestDraw('data');
+    }
+    
+    drawAnnotations() {
+        if (this.annotations.length === 0) return;
+        
+        this.clipToPlot();
+        this.ctx.font = '10px JetBrains Mono, monospace';
+        this.ctx.lineWidth = 1;
+        
+        for (const annotation of this.annotations) {
+            const color = annotation.source === 'bot' ? this.colors.event : this.colors.annotation;
+            const label = annotation.text.length > 24 ? annotation.text.slice(0, 23) + '…' : annotation.text;
+            this.ctx.strokeStyle = color + 'aa';
+            this.ctx.fillStyle = color;
+            
+            if (annotation.kind === 'time') {
+                const x = this.timeToX(annotation.timestamp);
+                this.ctx.setLineDash([4, 3]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, this.padding.top);
+                this.ctx.lineTo(x, this.padding.top + this.chartHeight);
+                this.ctx.stroke();
+                this.ctx.textAlign = 'left';
+                this.ctx.fillText(label, x + 4, this.padding.top + 22);
+            } else if (annotation.kind === 'price') {
+                const y = this.priceToY(annotation.price);
+                this.ctx.setLineDash([4, 3]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(this.padding.left, y);
+                this.ctx.lineTo(this.width - this.padding.right, y);
+                this.ctx.stroke();
+                this.ctx.textAlign = 'left';
+                this.ctx.fillText(label, this.padding.left + 4, y - 4);
+            } else {
+                // Pin; the text opens in the tooltip
+                const x = this.timeToX(annotation.timestamp);
+                const y = this.priceToY(annotation.price);
+                this.ctx.setLineDash([]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, y);
+                this.ctx.lineTo(x, y - 10);
+                this.ctx.stroke();
+                this.ctx.beginPath();
+                this.ctx.arc(x, y - 13, 4, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+        }
+        
+        this.ctx.setLineDash([]);
+        this.ctx.restore();
+    }
+    
+    // Annotation under the cursor, if any
+    annotationAt(x, y) {
+        for (const annotation of this.annotations) {
+            if (annotation.kind === 'time') {
+                if (Math.abs(x - this.timeToX(annotation.timestamp)) <= 4) return annotation;
+            } else if (annotation.kind === 'price') {
+                if (Math.abs(y - this.priceToY(annotation.price)) <= 4) return annotation;
+            } else {
+                const dx = x - this.timeToX(annotation.timestamp);
+                const dy = y - (this.priceToY(annotation.price) - 13);
+                if (dx * dx + dy * dy <= 64) return annotation;
+            }
+        }
+        return null;
+    }
+    
+    // ----------------------------------------
+    // Sub-panes (P&L etc.) below the price area
+    // ----------------------------------------
+    
+    /**
+     * Add or update a sub-pane. `pane` is
+     * { height, label, format, series: [{ label, color, points: [{ timestamp, value }] }] }.
+     */
+    setPane(id, pane, redraw = true) {
+        const index = this.panes.findIndex(p => p.id === id);
+        const relayout = index === -1 || this.panes[index].height !== pane.height;
+        
+        if (index === -1) this.panes.push({ id, ...pane });
+        else this.panes[index] = { id, ...pane };
+        
+        if (relayout) this.updateLayout();
+        if (redraw && this.priceData.length > 0) this.draw();
+    }
+    
+    removePane(id, redraw = true) {
+        const index = this.panes.findIndex(p => p.id === id);
+        if (index === -1) return;
+        
+        this.panes.splice(index, 1);
+        this.updateLayout();
+        if (redraw && this.priceData.length > 0) this.draw();
+    }
+    
+    panesHeight() {
+        return this.panes.reduce((sum, pane) => sum + pane.height + this.paneGap, 0);
+    }
+    
+    drawPanes() {
+        let top = this.padding.top + this.chartHeight;
+        
+        for (const pane of this.panes) {
+            top += this.paneGap;
+            this.drawPane(pane, top);
+            top += pane.height;
+        }
+    }
+    
+    drawPane(pane, top) {
+        const left = this.padding.left;
+        const right = this.width - this.padding.right;
+        const format = pane.format || (value => value.toFixed(2));
+        
+        // Value range over the visible window, always including zero
+        let min = 0;
+        let max = 0;
+        for (const series of pane.series) {
+            for (const point of series.points) {
+                if (point.timestamp < this.minTime || point.timestamp > this.maxTime) continue;
+                if (point.value < min) min = point.value;
+                if (point.value > max) max = point.value;
+            }
+        }
+        const pad = (max - min) * 0.1 || 1;
+        min -= pad;
+        max += pad;
+        const valueToY = (value) => top + pane.height * (1 - (value - min) / (max - min));
+        
+        // Separator and zero line
+        this.ctx.strokeStyle = this.colors.grid;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(left, top - this.paneGap / 2);
+        this.ctx.lineTo(right, top - this.paneGap / 2);
+        this.ctx.stroke();
+        
+        const zeroY = valueToY(0);
+        this.ctx.strokeStyle = this.colors.baseline;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(left, zeroY);
+        this.ctx.lineTo(right, zeroY);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        // Series
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(left, top, this.chartWidth, pane.height);
+        this.ctx.clip();
+        
+        for (const series of pane.series) {
+            if (series.points.length === 0) continue;
+            
+            const visible = series.points.filter((point, i, all) =>
+                (all[i + 1] ? all[i + 1].timestamp : Infinity) >= this.minTime &&
+                (all[i - 1] ? all[i - 1].timestamp : -Infinity) <= this.maxTime);
+            const points = lttb(visible, Math.round(this.chartWidth), point => point.timestamp, point => point.value);
+            
+            this.ctx.beginPath();
+            this.ctx.strokeStyle = series.color;
+            this.ctx.lineWidth = 1.5;
+            points.forEach((point, i) => {
+                const x = this.timeToX(point.timestamp);
+                const y = valueToY(point.value);
+                if (i === 0) this.ctx.moveTo(x, y);
+                else this.ctx.lineTo(x, y);
+            });
+            this.ctx.stroke();
+        }
+        
+        this.ctx.restore();
+        
+        // Label with series names, latest values on the right axis
+        this.ctx.font = '10px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillStyle = this.colors.text;
+        this.ctx.fillText(pane.label, left + 4, top + 10);
+        
+        let labelX = left + 8 + this.ctx.measureText(pane.label).width;
+        pane.series.forEach((series, i) => {
+            const last = series.points[series.points.length - 1];
+            this.ctx.fillStyle = series.color;
+            this.ctx.fillText(series.label, labelX, top + 10);
+            labelX += this.ctx.measureText(series.label).width + 8;
+            
+            if (last) {
+                this.ctx.fillText(format(last.value), right + 8, top + 10 + i * 14);
+            }
+        });
+    }
+    
+    // ----------------------------------------
+    // Indicators
+    // ----------------------------------------
+    
+    /**
+     * Add an indicator: { type, params, color, enabled }. `type` is a key of
+     * INDICATOR_TYPES; missing params and color come from the type.
+     */
+    addIndicator(id, options) {
+        const type = INDICATOR_TYPES[options.type];
+        const params = {};
+        for (const [key, spec] of Object.entries(type.params)) params[key] = spec.value;
+        
+        this.indicators.push({
+            id,
+            enabled: false,
+            color: type.color,
+            ...options,
+            params: { ...params, ...options.params },
+            cache: null
+        });
+        this.refreshIndicators();
+        this.emit('indicatorchange');
+    }
+    
+    // `changes` may hold enabled, color and / or params
+    updateIndicator(id, changes) {
+        const indicator = this.indicators.find(i => i.id === id);
+        if (!indicator) return;
+        
+        if (changes.params) {
+            indicator.params = { ...indicator.params, ...changes.params };
+            indicator.cache = null;
+        }
+        if (changes.enabled !== undefined) indicator.enabled = changes.enabled;
+        if (changes.color) indicator.color = changes.color;
+        
+        this.refreshIndicators();
+        this.emit('indicatorchange');
+    }
+    
+    removeIndicator(id) {
+        this.indicators = this.indicators.filter(i => i.id !== id);
+        this.removePane('indicator:' + id, false);
+        this.refreshIndicators();
+        this.emit('indicatorchange');
+    }
+    
+    refreshIndicators() {
+        if (this.priceData.length === 0) return;
+        
+        this.computeIndicators();
+        this.syncIndicatorPanes();
+        this.updateBounds();
+        this.draw();
+    }
+    
+    /**
+     * Bring every enabled indicator up to date with priceData. When the new
+     * data only extends what was computed (live ticks), just the new ticks
+     * are stepped through.
+     */
+    computeIndicators() {
+        const data = this.priceData;
+        
+        for (const indicator of this.indicators) {
+            if (!indicator.enabled) continue;
+            
+            const type = INDICATOR_TYPES[indicator.type];
+            let cache = indicator.cache;
+            const extended = cache && cache.length > 0 && cache.length <= data.length &&
+                data[0].timestamp === cache.firstTime && data[cache.length - 1].timestamp === cache.lastTime;
+            
+            if (!extended) {
+                cache = indicator.cache = { length: 0, state: type.init(), values: {}, points: [] };
+                for (const key of type.series) cache.values[key] = [];
+            }
+            
+            for (let i = cache.length; i < data.length; i++) {
+                const result = type.step(cache.state, data, i, indicator.params);
+                for (const key of type.series) {
+                    cache.values[key].push(result ? result[key] : NaN);
+                }
+                if (type.pane && result) {
+                    cache.points.push({ timestamp: data[i].timestamp, value: result[type.series[0]] });
+                }
+            }
+            
+            cache.length = data.length;
+            cache.firstTime = data.length > 0 ? data[0].timestamp : null;
+            cache.lastTime = data.length > 0 ? data[data.length - 1].timestamp : null;
+        }
+    }
+    
+    syncIndicatorPanes() {
+        for (const indicator of this.indicators) {
+            const type = INDICATOR_TYPES[indicator.type];
+            if (!type.pane) continue;
+            
+            const id = 'indicator:' + indicator.id;
+            if (indicator.enabled && indicator.cache) {
+                this.setPane(id, {
+                    height: type.pane.height,
+                    label: indicatorLabel(indicator),
+                    format: type.pane.format,
+                    series: [{ label: '', color: indicator.color, points: indicator.cache.points }]
+                }, false);
+            } else {
+                this.removePane(id, false);
+            }
+        }
+    }
+    
+    drawIndicators() {
+        const first = Math.max(0, this.indexAtTime(this.minTime) - 1);
+        const last = Math.min(this.priceData.length - 1, this.indexAtTime(this.maxTime));
+        const stride = Math.max(1, Math.floor((last - first) / this.chartWidth));
+        
+        this.clipToPlot();
+        this.ctx.lineWidth = 1.25;
+        this.ctx.lineJoin = 'round';
+        
+        for (const indicator of this.indicators) {
+            const type = INDICATOR_TYPES[indicator.type];
+            if (!indicator.enabled || !indicator.cache || type.pane) continue;
+            
+            const values = indicator.cache.values;
+            
+            if (type.band) {
+                const [upper, lower] = type.band.map(key => values[key]);
+                this.ctx.beginPath();
+                for (const run of this.indicatorRuns(upper, first, last, stride)) {
+                    run.forEach((i, n) => {
+                        const x = this.timeToX(this.priceData[i].timestamp);
+                        if (n === 0) this.ctx.moveTo(x, this.priceToY(upper[i]));
+                        else this.ctx.lineTo(x, this.priceToY(upper[i]));
+                    });
+                    for (let n = run.length - 1; n >= 0; n--) {
+                        this.ctx.lineTo(this.timeToX(this.priceData[run[n]].timestamp), this.priceToY(lower[run[n]]));
+                    }
+                    this.ctx.closePath();
+                }
+                this.ctx.fillStyle = indicator.color + '14';
+                this.ctx.fill();
+            }
+            
+            this.ctx.strokeStyle = indicator.color;
+            for (const key of type.series) {
+                this.ctx.beginPath();
+                for (const run of this.indicatorRuns(values[key], first, last, stride)) {
+                    run.forEach((i, n) => {
+                        const x = this.timeToX(this.priceData[i].timestamp);
+                        if (n === 0) this.ctx.moveTo(x, this.priceToY(values[key][i]));
+                        else this.ctx.lineTo(x, this.priceToY(values[key][i]));
+                    });
+                }
+                this.ctx.setLineDash(type.band && !type.band.includes(key) ? [4, 3] : []);
+                this.ctx.stroke();
+            }
+            this.ctx.setLineDash([]);
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Indices to draw for one indicator series between `first` and `last`,
+     * taking every `stride`-th tick and breaking at warm-up and feed gaps.
+     */
+    indicatorRuns(values, first, last, stride) {
+        const runs = [];
+        let run = [];
+        let gap = 0;
+        while (gap < this.gaps.length && this.gaps[gap].index <= first) gap++;
+        
+        for (let i = first; i <= last; i = i === last ? last + 1 : Math.min(i + stride, last)) {
+            // A gap ends right before this tick
+            if (gap < this.gaps.length && this.gaps[gap].index <= i) {
+                while (gap < this.gaps.length && this.gaps[gap].index <= i) gap++;
+                if (run.length > 0) runs.push(run);
+                run = [];
+            }
+            
+            if (isNaN(values[i])) {
+                if (run.length > 0) runs.push(run);
+                run = [];
+            } else {
+                run.push(i);
+            }
+        }
+        
+        if (run.length > 0) runs.push(run);
+        return runs;
+    }
+    
+    // ----------------------------------------
+    // Candlesticks
+    // ----------------------------------------
+    
+    /**
+     * Resolve the candle interval for the visible window. In auto mode this is
+     * the finest interval that keeps candles at least MIN_CANDLE_PX wide.
+     */
+    getCandleInterval() {
+        if (this.candleInterval !== 'auto') {
+            return CANDLE_INTERVALS.find(i => i.label === this.candleInterval) || CANDLE_INTERVALS[0];
+        }
+        
+        const rangeMs = this.maxTime - this.minTime;
+        const maxCandles = this.chartWidth / MIN_CANDLE_PX;
+        return CANDLE_INTERVALS.find(i => rangeMs / i.ms <= maxCandles) || CANDLE_INTERVALS[CANDLE_INTERVALS.length - 1];
+    }
+    
+    /**
+     * OHLC buckets built from the raw ticks, cached per interval until the
+     * data changes.
+     */
+    getCandles(intervalMs) {
+        const cache = this.candleCache;
+        if (cache && cache.data === this.priceData && cache.length === this.priceData.length && cache.intervalMs === intervalMs) {
+            return cache.candles;
+        }
+        
+        const candles = [];
+        let candle = null;
+        let candleEnd = -Infinity;
+        
+        // Hourly and longer candles start on the display zone's hours; ticks are
+        // sorted, so the zone is only looked up when a new candle starts
+        for (const point of this.priceData) {
+            const t = point.timestamp;
+            const price = point.price;
+            
+            if (!candle || t >= candleEnd) {
+                const bucket = zoneFloor(t, intervalMs);
+                candleEnd = nextZoneSlot(bucket, intervalMs);
+                candle = { timestamp: bucket, open: price, high: price, low: price, close: price };
+                candles.push(candle);
+            } else {
+                if (price > candle.high) candle.high = price;
+                if (price < candle.low) candle.low = price;
+                candle.close = price;
+            }
+        }
+        
+        this.candleCache = { data: this.priceData, length: this.priceData.length, intervalMs, candles };
+        return candles;
+    }
+    
+    candleAt(timestamp) {
+        const interval = this.getCandleInterval();
+        const candles = this.getCandles(interval.ms);
+        const bucket = zoneFloor(timestamp, interval.ms);
+        return candles.find(candle => candle.timestamp === bucket) || null;
+    }
+    
+    drawCandles() {
+        const interval = this.getCandleInterval();
+        const candles = this.getCandles(interval.ms);
+        const slotWidth = this.chartWidth * interval.ms / (this.maxTime - this.minTime);
+        const bodyWidth = Math.max(1, slotWidth * 0.7);
+        
+        // Show which interval auto mode settled on
+        const autoOption = this.intervalSelect.querySelector('option[value="auto"]');
+        const autoLabel = this.candleInterval === 'auto' ? `Auto (${interval.label})` : 'Auto';
+        if (autoOption.textContent !== autoLabel) autoOption.textContent = autoLabel;
+        
+        this.clipToPlot();
+        
+        for (const candle of candles) {
+            if (candle.timestamp + interval.ms < this.minTime || candle.timestamp > this.maxTime) continue;
+            
+            const x = this.timeToX(candle.timestamp + interval.ms / 2);
+            const color = candle.close >= candle.open ? this.colors.green : this.colors.red;
+            const openY = this.priceToY(candle.open);
+            const closeY = this.priceToY(candle.close);
+            
+            // Wick
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, this.priceToY(candle.high));
+            this.ctx.lineTo(x, this.priceToY(candle.low));
+            this.ctx.stroke();
+            
+            // Body
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(x - bodyWidth / 2, Math.min(openY, closeY), bodyWidth, Math.max(1, Math.abs(closeY - openY)));
+        }
+        
+        this.ctx.restore();
+    }
+    
+    drawYAxis() {
+        this.ctx.fillStyle = this.colors.text;
+        this.ctx.font = '11px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'left';
+        
+        for (const { price, label } of this.priceTicks()) {
+            this.ctx.fillText(label, this.width - this.padding.right + 8, this.priceToY(price) + 4);
+        }
+    }
+    
+    drawXAxis() {
+        this.ctx.fillStyle = this.colors.text;
+        this.ctx.font = '11px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'center';
+        
+        // Pick the finest step that still leaves ~80px between labels
+        const rangeMs = this.maxTime - this.minTime;
+        const maxTicks = Math.max(2, Math.floor(this.chartWidth / 80));
+        const stepMs = TIME_STEPS_MS.find(step => rangeMs / step <= maxTicks) || TIME_STEPS_MS[TIME_STEPS_MS.length - 1];
+        
+        const dayMs = 24 * 3600000;
+        const labelFormat = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+        if (stepMs < 60 * 1000) labelFormat.second = '2-digit';
+        const dateFormat = { month: 'short', day: 'numeric' };
+        
+        // Hour-and-up steps land on the display zone's hours, DST changes included
+        let current = zoneFloor(this.minTime, stepMs);
+        if (current < this.minTime) current = nextZoneSlot(current, stepMs);
+        
+        while (current <= this.maxTime) {
+            const x = this.timeToX(current);
+            if (x >= this.padding.left && x <= this.width - this.padding.right) {
+                const wall = zonedParts(current);
+                const isMidnight = wall.hour === 0 && wall.minute === 0 && wall.second === 0;
+                const label = formatTime(current, stepMs >= dayMs || (isMidnight && rangeMs > dayMs) ? dateFormat : labelFormat);
+                this.ctx.fillText(label, x, this.height - this.padding.bottom + 20);
+            }
+            current = nextZoneSlot(current, stepMs);
+        }
+    }
+    
+    drawTrades() {
+        for (const trade of this.trades) {
+            const x = this.timeToX(trade.timestamp);
+            const y = this.priceToY(trade.price);
+            
+            if (x < this.padding.left || x > this.width - this.padding.right) continue;
+            
+            const color = trade.side === 'buy' ? this.colors.buy : this.colors.sell;
+            const radius = 7;
+            
+            // Glow effect
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius + 4, 0, Math.PI * 2);
+            this.ctx.fillStyle = color + '33';
+            this.ctx.fill();
+            
+            // Outer ring
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+            this.ctx.fillStyle = color;
+            this.ctx.fill();
+            
+            // Inner dot
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius - 3, 0, Math.PI * 2);
+            this.ctx.fillStyle = '#0d1117';
+            this.ctx.fill();
+        }
+    }
+    
+    // Ring around the trade selected in the table or the detail drawer
+    drawHighlightedTrade() {
+        if (!this.highlightedTradeKey) return;
+        
+        const trade = this.trades.find(t => tradeKey(t) === this.highlightedTradeKey);
+        if (!trade) return;
+        
+        const x = this.timeToX(trade.timestamp);
+        if (x < this.padding.left || x > this.width - this.padding.right) return;
+        
+        this.ctx.beginPath();
+        this.ctx.arc(x, this.priceToY(trade.price), 13, 0, Math.PI * 2);
+        this.ctx.strokeStyle = '#e6edf3';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+    }
+    
+    /**
+     * Hypothetical fills ({ timestamp, price, side }) drawn as hollow dashed
+     * rings beside the real trades; [] removes them.
+     */
+    setSimulatedTrades(trades) {
+        this.simulatedTrades = trades;
+        if (this.priceData.length > 0) this.requestDraw('data');
+    }
+    
+    drawSimulatedTrades() {
+        if (this.simulatedTrades.length === 0) return;
+        
+        this.ctx.lineWidth = 1.5;
+        this.ctx.setLineDash([2, 2]);
+        
+        for (const trade of this.simulatedTrades) {
+            const x = this.timeToX(trade.timestamp);
+            if (x < this.padding.left || x > this.width - this.padding.right) continue;
+            
+            const color = trade.side === 'buy' ? this.colors.buy : this.colors.sell;
+            this.ctx.beginPath();
+            this.ctx.arc(x, this.priceToY(trade.price), 5, 0, Math.PI * 2);
+            this.ctx.fillStyle = color + '22';
+            this.ctx.fill();
+            this.ctx.strokeStyle = color + 'cc';
+            this.ctx.stroke();
+        }
+        
+        this.ctx.setLineDash([]);
+    }
+    
+    /**
+     * Draw the chart into another context (export), leaving the on-screen
+     * canvas untouched. The overlay (crosshair, measure, highlight) is left
+     * out unless `overlay` is set.
+     */
+    renderTo(ctx, { overlay = false } = {}) {
+        const screenCtx = this.ctx;
+        this.ctx = ctx;
+        try {
+            this.ctx.clearRect(0, 0, this.width, this.height);
+            if (this.priceData.length === 0) {
+                this.drawEmpty();
+            } else {
+                Object.keys(this.layers)
+                    .filter(name => overlay || name !== 'overlay')
+                    .forEach(name => this.paintLayer(name));
+            }
+        } finally {
+            this.ctx = screenCtx;
+        }
+    }
+    
+    highlightTrade(trade) {
+        this.highlightedTradeKey = trade ? tradeKey(trade) : null;
+        if (this.priceData.length > 0) this.drawOverlay();
+    }
+    
+    /**
+     * Centre the view on a trade, keeping the current zoom (or zooming to a
+     * two-hour window when showing the whole day), and highlight it.
+     */
+    focusTrade(trade) {
+        if (this.priceData.length === 0) return;
+        
+        const timestamp = trade.timestamp;
+        const span = this.view ? this.view.end - this.view.start : 2 * 3600000;
+        
+        this.highlightedTradeKey = tradeKey(trade);
+        this.setView(timestamp - span / 2, timestamp + span / 2);
+    }
+    
+    setHoveredTrade(trade) {
+        if (trade === this.hoveredTrade) return;
+        
+        this.hoveredTrade = trade;
+        this.emit('tradehover', trade);
+    }
+    
+    drawCurrentPrice() {
+        if (this.priceData.length === 0) return;
+        
+        const lastPoint = this.priceData[this.priceData.length - 1];
+        const price = lastPoint.price;
+        const y = this.priceToY(price);
+        const x = this.width - this.padding.right;
+        
+        const isUp = price >= this.baselinePrice;
+        const color = isUp ? this.colors.green : this.colors.red;
+        
+        this.ctx.fillStyle = color;
+        const tagWidth = 70;
+        const tagHeight = 22;
+        this.roundRect(x + 4, y - tagHeight / 2, tagWidth, tagHeight, 4);
+        this.ctx.fill();
+        
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = 'bold 11px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(this.formatPrice(price), x + 10, y + 4);
+    }
+    
+    handleMouseMove(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        
+        const inPlot = this.isInPlotArea(x, y) && this.priceData.length > 0;
+        this.setCrosshair(inPlot ? { timestamp: this.xToTime(x), price: this.yToPrice(y) } : null);
+        
+        if (!inPlot || (this.gesture && (this.gesture.moved || this.gesture.type === 'measure'))) {
+            this.hideTooltip();
+            this.setHoveredTrade(null);
+            return;
+        }
+        
+        // Nearest tick in time - check the neighbours either side of the cursor
+        const timestamp = this.xToTime(x);
+        const index = this.indexAtTime(timestamp);
+        let nearestPoint = null;
+        let nearestDistance = Infinity;
+        
+        for (const i of [index - 1, index]) {
+            const point = this.priceData[i];
+            if (!point) continue;
+            const distance = Math.abs((point.timestamp) - timestamp);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearestPoint = point;
+            }
+        }
+        
+        const nearestTrade = this.tradeAt(x, y);
+        const candle = this.chartType === 'candles' ? this.candleAt(timestamp) : null;
+        this.setHoveredTrade(nearestTrade);
+        
+        if (nearestPoint) {
+            this.showTooltip(e.clientX, e.clientY, nearestPoint, nearestTrade, candle, this.annotationAt(x, y));
+        }
+    }
+    
+    // Trade marker under canvas point (x, y), if any
+    tradeAt(x, y) {
+        for (const trade of this.trades) {
+            const tradeX = this.timeToX(trade.timestamp);
+            const tradeY = this.priceToY(trade.price);
+            if (Math.sqrt((x - tradeX) ** 2 + (y - tradeY) ** 2) < 15) return trade;
+        }
+        return null;
+    }
+    
+    /**
+     * Arrow keys step the crosshair tick by tick (Shift: ten at a time),
+     * Home / End jump to the edges of the view, Escape clears it and any
+     * measurement. Handled keys are preventDefault()ed so the day
+     * navigation on the same keys leaves them alone.
+     */
+    handleKeyDown(e) {
+        if (this.priceData.length === 0) return;
+        
+        if (e.key === 'Escape') {
+            this.measure = null;
+            this.hideTooltip();
+            this.setCrosshair(null);
+            this.drawOverlay();
+            return;
+        }
+        
+        const steps = { ArrowLeft: -1, ArrowRight: 1 };
+        if (steps[e.key]) {
+            this.stepCrosshair(steps[e.key] * (e.shiftKey ? 10 : 1));
+        } else if (e.key === 'Home') {
+            this.moveCrosshairTo(this.indexAtTime(this.minTime));
+        } else if (e.key === 'End') {
+            this.moveCrosshairTo(this.indexAtTime(this.maxTime + 1) - 1);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+    
+    // Move the keyboard crosshair `delta` ticks from where it is (or the last tick in view)
+    stepCrosshair(delta) {
+        if (this.priceData.length === 0) return;
+        
+        const index = this.crosshair
+            ? this.indexAtTime(this.crosshair.timestamp)
+            : this.indexAtTime(this.maxTime + 1) - 1;
+        this.moveCrosshairTo(index + delta);
+    }
+    
+    moveCrosshairTo(index) {
+        const point = this.priceData[Math.min(Math.max(index, 0), this.priceData.length - 1)];
+        
+        // Keep it on screen when zoomed in
+        if (this.view && (point.timestamp < this.minTime || point.timestamp > this.maxTime)) {
+            const span = this.view.end - this.view.start;
+            this.setView(point.timestamp - span / 2, point.timestamp + span / 2);
+        }
+        
+        this.setCrosshair({ timestamp: point.timestamp, price: point.price });
+        const rect = this.canvas.getBoundingClientRect();
+        this.showTooltip(rect.left + this.timeToX(point.timestamp), rect.top + this.priceToY(point.price), point);
+    }
+    
+    setCrosshair(crosshair) {
+        if (!crosshair && !this.crosshair) return;
+        
+        this.crosshair = crosshair;
+        if (this.priceData.length > 0) this.drawOverlay();
+    }
+    
+    // Dashed cross with price and time tags on the axes
+    drawCrosshair() {
+        if (!this.crosshair) return;
+        
+        const x = this.timeToX(this.crosshair.timestamp);
+        const y = this.priceToY(this.crosshair.price);
+        if (!this.isInPlotArea(x, y)) return;
+        
+        this.ctx.strokeStyle = this.colors.text + '88';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([3, 3]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, this.padding.top);
+        this.ctx.lineTo(x, this.padding.top + this.chartHeight + this.panesHeight());
+        this.ctx.moveTo(this.padding.left, y);
+        this.ctx.lineTo(this.width - this.padding.right, y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        this.ctx.font = '11px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillStyle = this.colors.baseline;
+        this.roundRect(this.width - this.padding.right + 4, y - 11, 70, 22, 4);
+        this.ctx.fill();
+        this.ctx.fillStyle = '#fff';
+        const priceLabel = this.scale.mode === 'percent'
+            ? formatPercent((this.crosshair.price / this.baselinePrice - 1) * 100, 2)
+            : this.formatPrice(this.crosshair.price);
+        this.ctx.fillText(priceLabel, this.width - this.padding.right + 10, y + 4);
+        
+        const format = this.maxTime - this.minTime > 24 * HOUR_MS
+            ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }
+            : { hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' };
+        const label = formatTime(this.crosshair.timestamp, format);
+        const labelWidth = this.ctx.measureText(label).width + 12;
+        this.ctx.fillStyle = this.colors.baseline;
+        this.roundRect(x - labelWidth / 2, this.height - this.padding.bottom + 6, labelWidth, 20, 4);
+        this.ctx.fill();
+        this.ctx.fillStyle = '#fff';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(label, x, this.height - this.padding.bottom + 20);
+    }
+    
+    /**
+     * Price and time change across the measured window, earliest end first,
+     * and the fills inside it.
+     */
+    measureSummary() {
+        const { start, end } = this.measure;
+        const [from, to] = start.timestamp <= end.timestamp ? [start, end] : [end, start];
+        const change = to.price - from.price;
+        
+        let buys = 0;
+        let sells = 0;
+        for (const trade of this.trades) {
+            if (trade.timestamp < from.timestamp || trade.timestamp > to.timestamp) continue;
+            if (trade.side === 'buy') buys++;
+            else sells++;
+        }
+        
+        return { from, to, change, percent: from.price > 0 ? change / from.price * 100 : 0, buys, sells };
+    }
+    
+    drawMeasure() {
+        if (!this.measure) return;
+        
+        const { from, to, change, percent, buys, sells } = this.measureSummary();
+        const x1 = this.timeToX(from.timestamp);
+        const x2 = this.timeToX(to.timestamp);
+        const y1 = this.priceToY(from.price);
+        const y2 = this.priceToY(to.price);
+        const color = change >= 0 ? this.colors.green : this.colors.red;
+        
+        this.clipToPlot();
+        this.ctx.fillStyle = change >= 0 ? this.colors.greenFill : this.colors.redFill;
+        this.ctx.fillRect(x1, Math.min(y1, y2), x2 - x1, Math.abs(y2 - y1));
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x1, y1);
+        this.ctx.lineTo(x2, y2);
+        this.ctx.stroke();
+        this.ctx.restore();
+        
+        // Readout beside the end being dragged
+        const lines = [
+            `${formatQuote(change, { signed: true })} (${formatPercent(percent)})`,
+            formatDuration(to.timestamp - from.timestamp),
+            `${buys} buy${buys === 1 ? '' : 's'} · ${sells} sell${sells === 1 ? '' : 's'}`
+        ];
+        this.ctx.font = '11px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'left';
+        const boxWidth = Math.max(...lines.map(line => this.ctx.measureText(line).width)) + 16;
+        const boxHeight = lines.length * 15 + 10;
+        const endX = this.timeToX(this.measure.end.timestamp);
+        const endY = this.priceToY(this.measure.end.price);
+        const boxX = Math.min(Math.max(endX + 10, this.padding.left), this.width - this.padding.right - boxWidth);
+        const boxY = Math.min(Math.max(endY - boxHeight / 2, this.padding.top), this.padding.top + this.chartHeight - boxHeight);
+        
+        this.ctx.fillStyle = this.colors.panel + 'ee';
+        this.roundRect(boxX, boxY, boxWidth, boxHeight, 4);
+        this.ctx.fill();
+        this.ctx.strokeStyle = color;
+        this.ctx.stroke();
+        
+        lines.forEach((line, i) => {
+            this.ctx.fillStyle = i === 0 ? color : this.colors.text;
+            this.ctx.fillText(line, boxX + 8, boxY + 17 + i * 15);
+        });
+    }
+    
+    showTooltip(mouseX, mouseY, point, trade = null, candle = null, annotation = null) {
+        const price = point.price;
+        const timestamp = candle ? candle.timestamp : (point.timestamp);
+        const timeStr = formatTime(timestamp, {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        let html;
+        if (candle) {
+            const direction = candle.close >= candle.open ? 'up' : 'down';
+            html = `
+                <div class="ohlc ${direction}">
+                    <span>O</span>${formatQuote(candle.open)}
+                    <span>H</span>${formatQuote(candle.high)}
+                    <span>L</span>${formatQuote(candle.low)}
+                    <span>C</span>${formatQuote(candle.close)}
+                </div>
+                <div class="time">${timeStr} · ${this.getCandleInterval().label}</div>
+            `;
+        } else {
+            html = `
+                <div class="price">${formatQuote(price)}</div>
+                <div class="time">${timeStr}</div>
+            `;
+        }
+        
+        for (const comparison of this.comparisons) {
+            const match = this.comparisonAt(comparison, timestamp);
+            if (!match) continue;
+            
+            const move = (match.price / this.baselinePrice - 1) * 100;
+            const value = this.compareMode === 'percent'
+                ? formatPercent(move)
+                : formatQuote(match.price);
+            html += `<div class="compare-info"><span class="swatch" style="background: ${comparison.color}"></span>` +
+                `${escapeHtml(comparison.label)} ${value}</div>`;
+        }
+        
+        if (trade) {
+            const sideLabel = trade.side === 'buy' ? 'BUY' : 'SELL';
+            const amount = tradeAmount(trade);
+            const size = [
+                amount > 0 ? formatBase(amount) : '',
+                trade.usdValue ? formatQuote(trade.usdValue) : ''
+            ].filter(Boolean).join(' · ');
+            html += `<div class="trade-info ${trade.side}">${sideLabel} ${size}<span>Click for details</span></div>`;
+        }
+        
+        if (annotation) {
+            const where = annotation.kind === 'price' ? ` @ ${formatQuote(annotation.price)}` : '';
+            html += `<div class="annotation-info ${annotation.source}">${annotation.source === 'bot' ? 'Bot' : 'Note'}${where}` +
+                `<span>${escapeHtml(annotation.text)}</span></div>`;
+        }
+        
+        this.tooltip.innerHTML = html;
+        this.tooltip.classList.add('visible');
+        
+        const rect = this.canvas.getBoundingClientRect();
+        let tooltipX = mouseX - rect.left + 15;
+        let tooltipY = mouseY - rect.top - 10;
+        
+        const tooltipRect = this.tooltip.getBoundingClientRect();
+        if (tooltipX + tooltipRect.width > this.width) {
+            tooltipX = mouseX - rect.left - tooltipRect.width - 15;
+        }
+        
+        this.tooltip.style.left = tooltipX + 'px';
+        this.tooltip.style.top = tooltipY + 'px';
+    }
+    
+    hideTooltip() {
+        this.tooltip.classList.remove('visible');
+    }
+    
+    calculateNiceStep(range, targetSteps) {
+        const roughStep = range / targetSteps;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
+        const normalized = roughStep / magnitude;
+        
+        let niceStep;
+        if (normalized <= 1.5) niceStep = 1;
+        else if (normalized <= 3) niceStep = 2;
+        else if (normalized <= 7) niceStep = 5;
+        else niceStep = 10;
+        
+        return niceStep * magnitude;
+    }
+    
+    // Axis / level labels: as many decimals as the y-axis tick step needs
+    formatPrice(price) {
+        const step = this.calculateNiceStep(this.maxPrice - this.minPrice, 5);
+        const decimals = step > 0
+            ? Math.min(8, Math.max(0, -Math.floor(Math.log10(step))))
+            : (Number.isInteger(market.priceDecimals) ? market.priceDecimals : 2);
+        return formatQuote(price, { compact: true, decimals });
+    }
+    
+    roundRect(x, y, width, height, radius) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(x + radius, y);
+        this.ctx.lineTo(x + width - radius, y);
+        this.ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+        this.ctx.lineTo(x + width, y + height - radius);
+        this.ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+        this.ctx.lineTo(x + radius, y + height);
+        this.ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+        this.ctx.lineTo(x, y + radius);
+        this.ctx.quadraticCurveTo(x, y, x + radius, y);
+        this.ctx.closePath();
+    }
+}
+
+// ============================================
+// Overview Strip with Time-Range Brush
+// ============================================
+class ChartOverview {
+    constructor(canvasId, chart) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.chart = chart;
+        this.padding = { left: chart.padding.left, right: chart.padding.right };
+        this.handleWidth = 6;
+        this.drag = null;
+        
+        this.setupCanvas();
+        this.setupEventListeners();
+    }
+    
+    setupCanvas() {
+        const rect = this.canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        
+        this.canvas.width = rect.width * dpr;
+        this.canvas.height = rect.height * dpr;
+        
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        
+        this.width = rect.width;
+        this.height = rect.height;
+        this.stripWidth = this.width - this.padding.left - this.padding.right;
+    }
+    
+    setupEventListeners() {
+        const resize = () => {
+            const rect = this.canvas.getBoundingClientRect();
+            if (rect.width === this.width && rect.height === this.height) return;
+            this.setupCanvas();
+            this.draw();
+        };
+        if (window.ResizeObserver) {
+            new ResizeObserver(resize).observe(this.canvas);
+        } else {
+            window.addEventListener('resize', resize);
+        }
+        
+        this.chart.on('draw', () => this.draw());
+        
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('dblclick', () => this.chart.resetView());
+    }
+    
+    hasData() {
+        return this.chart.priceData.length > 1 && this.chart.dataMaxTime > this.chart.dataMinTime;
+    }
+    
+    timeToX(timestamp) {
+        const { dataMinTime, dataMaxTime } = this.chart;
+        return this.padding.left + this.stripWidth * (timestamp - dataMinTime) / (dataMaxTime - dataMinTime);
+    }
+    
+    xToTime(x) {
+        const { dataMinTime, dataMaxTime } = this.chart;
+        return dataMinTime + (x - this.padding.left) / this.stripWidth * (dataMaxTime - dataMinTime);
+    }
+    
+    draw() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        if (!this.hasData()) return;
+        
+        const data = this.chart.priceData;
+        const colors = this.chart.colors;
+        
+        let minPrice = Infinity;
+        let maxPrice = -Infinity;
+        for (const point of data) {
+            const price = point.price;
+            if (price < minPrice) minPrice = price;
+            if (price > maxPrice) maxPrice = price;
+        }
+        const priceRange = maxPrice - minPrice || 1;
+        const priceToY = (price) => 4 + (this.height - 8) * (1 - (price - minPrice) / priceRange);
+        
+        // Full-range price line, broken at feed gaps
+        const pxPerMs = this.stripWidth / (this.chart.dataMaxTime - this.chart.dataMinTime);
+        this.ctx.beginPath();
+        this.ctx.strokeStyle = colors.text;
+        this.ctx.lineWidth = 1;
+        for (const run of splitAtGaps(data, CONFIG.gapThresholdMs)) {
+            const span = run[run.length - 1].timestamp - run[0].timestamp;
+            const points = lttb(run, Math.round(span * pxPerMs), point => point.timestamp, point => point.price);
+            points.forEach((point, i) => {
+                const x = this.timeToX(point.timestamp);
+                const y = priceToY(point.price);
+                if (i === 0) this.ctx.moveTo(x, y);
+                else this.ctx.lineTo(x, y);
+            });
+        }
+        this.ctx.stroke();
+        
+        // Dim everything outside the brush
+        const brushStart = this.timeToX(this.chart.minTime);
+        const brushEnd = this.timeToX(this.chart.maxTime);
+        
+        this.ctx.fillStyle = 'rgba(13, 17, 23, 0.6)';
+        this.ctx.fillRect(this.padding.left, 0, brushStart - this.padding.left, this.height);
+        this.ctx.fillRect(brushEnd, 0, this.width - this.padding.right - brushEnd, this.height);
+        
+        // Brush window and handles
+        this.ctx.fillStyle = 'rgba(88, 166, 255, 0.08)';
+        this.ctx.fillRect(brushStart, 0, brushEnd - brushStart, this.height);
+        this.ctx.strokeStyle = colors.line;
+        this.ctx.strokeRect(brushStart + 0.5, 0.5, brushEnd - brushStart - 1, this.height - 1);
+        
+        this.ctx.fillStyle = colors.line;
+        for (const x of [brushStart, brushEnd]) {
+            this.ctx.fillRect(x - 3, this.height / 2 - 10, 6, 20);
+        }
+    }
+    
+    hitTest(x) {
+        const brushStart = this.timeToX(this.chart.minTime);
+        const brushEnd = this.timeToX(this.chart.maxTime);
+        
+        if (Math.abs(x - brushStart) <= this.handleWidth) return 'start';
+        if (Math.abs(x - brushEnd) <= this.handleWidth) return 'end';
+        if (x > brushStart && x < brushEnd) return 'move';
+        return 'outside';
+    }
+    
+    handlePointerDown(e) {
+        if (!this.hasData()) return;
+        
+        const x = e.clientX - this.canvas.getBoundingClientRect().left;
+        let mode = this.hitTest(x);
+        
+        if (mode === 'outside') {
+            // Jump the brush so it's centred on the click, then drag from there
+            const span = this.chart.maxTime - this.chart.minTime;
+            const center = this.xToTime(x);
+            this.chart.setView(center - span / 2, center + span / 2);
+            mode = 'move';
+        }
+        
+        this.canvas.setPointerCapture(e.pointerId);
+        this.drag = { mode, x, start: this.chart.minTime, end: this.chart.maxTime };
+    }
+    
+    handlePointerMove(e) {
+        const x = e.clientX - this.canvas.getBoundingClientRect().left;
+        
+        if (!this.drag) {
+            const mode = this.hasData() ? this.hitTest(x) : 'outside';
+            this.canvas.style.cursor = mode === 'start' || mode === 'end' ? 'ew-resize' : mode === 'move' ? 'grab' : 'pointer';
+            return;
+        }
+        
+        const dt = this.xToTime(x) - this.xToTime(this.drag.x);
+        const { start, end } = this.drag;
+        
+        if (this.drag.mode === 'move') {
+            this.chart.setView(start + dt, end + dt);
+        } else if (this.drag.mode === 'start') {
+            this.chart.setView(Math.min(start + dt, end - this.chart.minViewSpan()), end);
+        } else {
+            this.chart.setView(start, Math.max(end + dt, start + this.chart.minViewSpan()));
+        }
+    }
+    
+    handlePointerUp(e) {
+        this.drag = null;
+        if (this.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+    }
+}
+
+// ============================================
+// Live Transport
+// ============================================
+
+/**
+ * Delivers live updates over SSE or WebSocket when the backend offers them,
+ * falling back to polling otherwise. Push transports are retried with
+ * exponential backoff and jitter while polling keeps the data flowing.
+ *
+ * Push messages are JSON objects with a `type`:
+ *   { type: 'snapshot', ...current.json }
+ *   { type: 'tick', t, p }            or { type: 'ticks', prices: [...] }
+ *   { type: 'trade', t, price, side } or { type: 'trades', trades: [...] }
+ *   { type: 'grid', grid: {...} }
+ */
+class LiveTransport {
+    /**
+     * @param {Object} handlers
+     * @param {Function} handlers.onMessage - called with each parsed push message
+     * @param {Function} handlers.poll - async, fetches a snapshot; resolves true on success,
+     *     false on failure and null when it skipped the request
+     * @param {Function} handlers.onStatus - called with the state whenever it changes
+     * @param {Object} [endpoints] - { streamUrl, wsUrl }, either may be null
+     */
+    constructor(handlers, endpoints = CONFIG) {
+        this.handlers = handlers;
+        this.streamUrl = endpoints.streamUrl;
+        this.wsUrl = endpoints.wsUrl;
+        this.pushTypes = [];
+        if (this.streamUrl && typeof EventSource !== 'undefined') this.pushTypes.push('sse');
+        if (this.wsUrl && typeof WebSocket !== 'undefined') this.pushTypes.push('websocket');
+        
+        this.transport = null;     // 'sse' | 'websocket' | 'polling'
+        this.status = 'waiting';
+        this.lastMessageAt = null;
+        this.retryAt = null;
+        this.socket = null;
+        this.pushAttempt = 0;
+        this.pollFailures = 0;
+        this.pushTimer = null;
+        this.pollTimer = null;
+        this.stopped = false;      // Set by stop(); requests still in flight then finish quietly
+    }
+    
+    start() {
+        this.stopped = false;
+        this.connectPush(0);
+    }
+    
+    stop() {
+        this.stopped = true;
+        this.closeSocket();
+        clearTimeout(this.pushTimer);
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+    
+    backoffDelay(attempt) {
+        const ceiling = Math.min(CONFIG.reconnectMaxMs, CONFIG.reconnectBaseMs * 2 ** attempt);
+        return ceiling / 2 + Math.random() * ceiling / 2;
+    }
+    
+    // ----------------------------------------
+    // Push (SSE / WebSocket)
+    // ----------------------------------------
+    
+    /**
+     * Try each push transport in turn, starting at `index`. When none opens,
+     * poll and schedule another round with backoff.
+     */
+    connectPush(index) {
+        this.closeSocket();
+        if (this.stopped) return;
+        
+        if (index >= this.pushTypes.length) {
+            this.startPolling();
+            this.schedulePushRetry();
+            return;
+        }
+        
+        const type = this.pushTypes[index];
+        let opened = false;
+        
+        const onOpen = () => {
+            opened = true;
+            this.pushAttempt = 0;
+            this.stopPolling();
+            this.transport = type;
+            this.markMessage();
+            
+            // Catch up on anything sent before the stream was open
+            this.handlers.poll();
+        };
+        
+        const onMessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring malformed live message:', error.message);
+                return;
+            }
+            this.markMessage();
+            this.handlers.onMessage(message);
+        };
+        
+        const onFailure = () => {
+            this.closeSocket();
+            if (opened) {
+                // Dropped mid-session: poll while we back off and reconnect
+                this.startPolling();
+                this.schedulePushRetry();
+            } else {
+                this.connectPush(index + 1);
+            }
+        };
+        
+        if (type === 'sse') {
+            const source = new EventSource(this.streamUrl);
+            source.onopen = onOpen;
+            source.onmessage = onMessage;
+            source.onerror = onFailure;
+            this.socket = source;
+        } else {
+            const socket = new WebSocket(this.wsUrl);
+            socket.onopen = onOpen;
+            socket.onmessage = onMessage;
+            socket.onclose = onFailure;
+            this.socket = socket;
+        }
+    }
+    
+    closeSocket() {
+        if (!this.socket) return;
+        
+        const socket = this.socket;
+        this.socket = null;
+        socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+        socket.close();
+    }
+    
+    schedulePushRetry() {
+        if (this.pushTypes.length === 0) return;
+        
+        const delay = this.backoffDelay(this.pushAttempt++);
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.connectPush(0), delay);
+    }
+    
+    // ----------------------------------------
+    // Polling fallback
+    // ----------------------------------------
+    
+    startPolling() {
+        if (this.pollTimer) return;
+        
+        this.transport = 'polling';
+        this.pollFailures = 0;
+        this.schedulePoll(0);
+    }
+    
+    stopPolling() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+    
+    schedulePoll(delay) {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => this.pollOnce(), delay);
+        this.retryAt = this.pollFailures > 0 ? Date.now() + delay : null;
+    }
+    
+    async pollOnce() {
+        const ok = await this.handlers.poll();
+        
+        // Stopped, or push took over, while the request was in flight
+        if (this.stopped || this.transport !== 'polling') return;
+        
+        if (ok === null) {
+            // Nothing was requested, so keep the last real fetch time
+            this.schedulePoll(CONFIG.pollIntervalMs);
+        } else if (ok) {
+            this.pollFailures = 0;
+            this.markMessage();
+            this.schedulePoll(CONFIG.pollIntervalMs);
+        } else {
+            this.pollFailures++;
+            this.schedulePoll(this.backoffDelay(this.pollFailures - 1));
+            this.setStatus('waiting');
+        }
+    }
+    
+    markMessage() {
+        this.lastMessageAt = Date.now();
+        this.setStatus('connected');
+    }
+    
+    setStatus(status) {
+        this.status = status;
+        this.handlers.onStatus(this);
+    }
+}
+
+// ============================================
+// P&L Engine
+// ============================================
+
+/**
+ * Tracks open inventory lots and realized profit as trades are applied.
+ * Sells close lots FIFO by default; 'grid' pairs each sell with the open buy
+ * closest below it, the way a grid bot's counter orders work.
+ */
+class PnlLedger {
+    constructor(method = 'fifo', openingLots = []) {
+        this.method = method;
+        this.lots = openingLots.map(lot => ({ ...lot }));
+        this.realized = 0;
+        this.unmatched = 0; // Amount sold with no known cost basis
+        this.inventory = 0;
+        this.costBasis = 0;
+        
+        for (const lot of this.lots) {
+            this.inventory += lot.amount;
+            this.costBasis += lot.amount * lot.price;
+        }
+    }
+    
+    get avgCost() {
+        return this.inventory > 0 ? this.costBasis / this.inventory : 0;
+    }
+    
+    unrealizedAt(price) {
+        return this.inventory * price - this.costBasis;
+    }
+    
+    apply(trade) {
+        const amount = tradeAmount(trade);
+        if (!(amount > 0)) return;
+        
+        if (trade.side === 'buy') {
+            this.lots.push({ amount, price: trade.price, timestamp: trade.timestamp });
+            this.inventory += amount;
+            this.costBasis += amount * trade.price;
+            return;
+        }
+        
+        let remaining = amount;
+        while (remaining > 1e-12 && this.lots.length > 0) {
+            const index = this.nextLotIndex(trade.price);
+            const lot = this.lots[index];
+            const matched = Math.min(remaining, lot.amount);
+            
+            this.realized += matched * (trade.price - lot.price);
+            this.inventory -= matched;
+            this.costBasis -= matched * lot.price;
+            lot.amount -= matched;
+            remaining -= matched;
+            
+            if (lot.amount <= 1e-12) this.lots.splice(index, 1);
+        }
+        this.unmatched += remaining;
+    }
+    
+    nextLotIndex(sellPrice) {
+        if (this.method !== 'grid') return 0;
+        
+        // Highest buy at or below the sell - the level this sell is the counter order for
+        let best = -1;
+        for (let i = 0; i < this.lots.length; i++) {
+            const price = this.lots[i].price;
+            if (price <= sellPrice && (best === -1 || price > this.lots[best].price)) best = i;
+        }
+        return best === -1 ? 0 : best;
+    }
+}
+
+/**
+ * Base-asset size of a trade: explicit `amount`, else derived from its quote
+ * value (`usdValue`, whatever the quote asset).
+ */
+function tradeAmount(trade) {
+    if (trade.amount > 0) return trade.amount;
+    if (trade.usdValue > 0 && trade.price > 0) return trade.usdValue / trade.price;
+    return 0;
+}
+
+/**
+ * Fee and gas of a trade in the quote asset, 0 where unknown. Gas is
+ * `gasUsd` on dollar quotes, else `gasEth` priced through the pair when one
+ * side of it is ETH.
+ */
+function tradeCosts(trade, assets = market) {
+    const fee = trade.fee > 0 ? trade.fee : 0;
+    let gas = 0;
+    if (USD_QUOTES.includes(assets.quote) && trade.gasUsd > 0) {
+        gas = trade.gasUsd;
+    } else if (trade.gasEth > 0 && ETH_ASSETS.includes(assets.quote)) {
+        gas = trade.gasEth;
+    } else if (trade.gasEth > 0 && ETH_ASSETS.includes(assets.base)) {
+        gas = trade.gasEth * trade.price;
+    }
+    return { fee, gas };
+}
+
+/**
+ * How much worse than quoted a trade filled, as a percentage (negative when
+ * it filled better); null without a quote.
+ */
+function tradeSlippage(trade) {
+    if (!(trade.quotedPrice > 0)) return null;
+    const move = (trade.price / trade.quotedPrice - 1) * 100;
+    return trade.side === 'buy' ? move : -move;
+}
+
+/**
+ * Run one day's trades through a ledger, sampling cumulative P&L at each tick.
+ * `prices` and `trades` are the normalised { timestamp, price } records.
+ */
+function computeDayPnl(prices, trades, method, openingLots = []) {
+    const ledger = new PnlLedger(method, openingLots);
+    const sortedTrades = trades.slice().sort((a, b) => a.timestamp - b.timestamp);
+    const realizedCurve = [];
+    const totalCurve = [];
+    let tradeIndex = 0;
+    let fees = 0;
+    let gas = 0;
+    
+    for (const trade of sortedTrades) {
+        const costs = tradeCosts(trade);
+        fees += costs.fee;
+        gas += costs.gas;
+    }
+    
+    for (const point of prices) {
+        while (tradeIndex < sortedTrades.length && sortedTrades[tradeIndex].timestamp <= point.timestamp) {
+            ledger.apply(sortedTrades[tradeIndex++]);
+        }
+        realizedCurve.push({ timestamp: point.timestamp, value: ledger.realized });
+        totalCurve.push({ timestamp: point.timestamp, value: ledger.realized + ledger.unrealizedAt(point.price) });
+    }
+    while (tradeIndex < sortedTrades.length) {
+        ledger.apply(sortedTrades[tradeIndex++]);
+    }
+    
+    const lastPrice = prices.length > 0 ? prices[prices.length - 1].price : 0;
+    
+    return {
+        realized: ledger.realized,
+        unrealized: ledger.unrealizedAt(lastPrice),
+        inventory: ledger.inventory,
+        avgCost: ledger.avgCost,
+        fees,
+        gas,
+        lots: ledger.lots,
+        realizedCurve,
+        totalCurve
+    };
+}
+
+// ============================================
+// Grid Level Helpers
+// ============================================
+
+/**
+ * Normalise the optional `grid` block from a data file into a sorted list of
+ * snapshots: [{ timestamp, levels: [{ price, side, status }] }].
+ *
+ * Accepts a single snapshot ({ t, levels }), a list of snapshots, or an object
+ * with a `snapshots` / `history` array. Snapshots without a timestamp are
+ * stamped with `fallbackTime`.
+ */
+function normalizeGrid(grid, fallbackTime) {
+    if (!grid) return [];
+    
+    let snapshots = grid;
+    if (!Array.isArray(grid)) {
+        snapshots = grid.snapshots || grid.history || [grid];
+    }
+    
+    return snapshots
+        .filter(snapshot => snapshot && Array.isArray(snapshot.levels))
+        .map(snapshot => {
+            const timestamp = parseTimestamp(snapshot.t ?? snapshot.timestamp);
+            return {
+                timestamp: isNaN(timestamp) ? fallbackTime : timestamp,
+                levels: snapshot.levels
+                    .filter(level => level && isFinite(level.price))
+                    .map(level => ({
+                        price: Number(level.price),
+                        side: level.side === 'sell' ? 'sell' : 'buy',
+                        status: gridLevelStatus(level)
+                    }))
+                    .sort((a, b) => a.price - b.price)
+            };
+        })
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function gridLevelStatus(level) {
+    if (['open', 'filled', 'idle'].includes(level.status)) return level.status;
+    if (level.filled) return 'filled';
+    if (level.hasOrder || level.orderId) return 'open';
+    return 'idle';
+}
+
+/**
+ * Append live snapshots to a day's grid history, skipping any that don't
+ * change the layout so polling the same grid doesn't add steps.
+ */
+function mergeGridHistory(history, snapshots) {
+    const merged = history.slice();
+    
+    for (const snapshot of snapshots) {
+        const last = merged[merged.length - 1];
+        if (last && snapshot.timestamp < last.timestamp) continue;
+        if (last && gridSignature(last) === gridSignature(snapshot)) continue;
+        merged.push(snapshot);
+    }
+    
+    return merged;
+}
+
+function gridSignature(snapshot) {
+    return snapshot.levels.map(level => `${level.price}:${level.side}:${level.status}`).join('|');
+}
+
+// ============================================
+// Payload Validation
+// ============================================
+
+/**
+ * Counts of what validation had to change in a payload. Kept per cached day
+ * and summed over the selection for the data-quality badge.
+ */
+function emptyQualityReport() {
+    return { repairedTicks: 0, droppedTicks: 0, repairedTrades: 0, droppedTrades: 0, duplicates: 0, reordered: 0 };
+}
+
+function mergeQualityReports(reports) {
+    const total = emptyQualityReport();
+    for (const report of reports) {
+        for (const key of Object.keys(total)) total[key] += report[key] || 0;
+    }
+    return total;
+}
+
+function isDayString(day) {
+    return typeof day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(day) && !isNaN(Date.parse(day));
+}
+
+// Numbers may arrive as strings; anything unparseable is NaN
+function parseNumber(value) {
+    if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+    return typeof value === 'number' && isFinite(value) ? value : NaN;
+}
+
+// Milliseconds, seconds or an ISO string -> milliseconds
+function parseTimestamp(value) {
+    let timestamp = parseNumber(value);
+    if (isNaN(timestamp) && typeof value === 'string') timestamp = Date.parse(value);
+    if (isNaN(timestamp) || timestamp <= 0) return NaN;
+    return timestamp < 1e11 ? timestamp * 1000 : timestamp;
+}
+
+/**
+ * Ticks as [{ timestamp, price, volume? }] sorted by time, from either the
+ * compact { t, p, v } or the long form. Records that can't be read are dropped, ones
+ * with string / second timestamps are repaired. A tick repeated at the same
+ * timestamp keeps the last price.
+ */
+function validatePrices(prices, report) {
+    if (!Array.isArray(prices)) return [];
+    
+    const valid = [];
+    for (const record of prices) {
+        const rawTime = record ? (record.t !== undefined ? record.t : record.timestamp) : undefined;
+        const rawPrice = record ? (record.p !== undefined ? record.p : record.price) : undefined;
+        const timestamp = parseTimestamp(rawTime);
+        const price = parseNumber(rawPrice);
+        
+        if (isNaN(timestamp) || isNaN(price) || price < 0) {
+            report.droppedTicks++;
+            continue;
+        }
+        if (timestamp !== rawTime || price !== rawPrice) report.repairedTicks++;
+        
+        // Volume is optional and only feeds VWAP
+        const volume = parseNumber(record.v !== undefined ? record.v : record.volume);
+        valid.push(volume >= 0 ? { timestamp, price, volume } : { timestamp, price });
+    }
+    
+    sortByTime(valid, report);
+    
+    const unique = [];
+    for (const point of valid) {
+        const last = unique[unique.length - 1];
+        if (last && last.timestamp === point.timestamp) {
+            unique[unique.length - 1] = point;
+            report.duplicates++;
+        } else {
+            unique.push(point);
+        }
+    }
+    return unique;
+}
+
+// Optional trade details. `amount` is in the base asset, `gasEth` in ETH,
+// `gasUsd` in dollars and the rest in the quote asset.
+const TRADE_NUMBER_FIELDS = ['usdValue', 'amount', 'quotedPrice', 'fee', 'gasEth', 'gasUsd'];
+const TRADE_TEXT_FIELDS = ['venue', 'pool', 'txHash'];
+
+/**
+ * Trades sorted by time with a numeric timestamp / price and a lower-case
+ * side. Extra backend fields are kept for the trade table.
+ */
+function validateTrades(trades, report) {
+    if (!Array.isArray(trades)) return [];
+    
+    const valid = [];
+    const seen = new Set();
+    for (const record of trades) {
+        if (!record || typeof record !== 'object') {
+            report.droppedTrades++;
+            continue;
+        }
+        
+        const { t, ...rest } = record;
+        const rawTime = t !== undefined ? t : rest.timestamp;
+        const timestamp = parseTimestamp(rawTime);
+        const side = typeof rest.side === 'string' ? rest.side.trim().toLowerCase() : '';
+        const price = parseNumber(rest.price);
+        
+        if (isNaN(timestamp) || (side !== 'buy' && side !== 'sell') || !(price > 0)) {
+            report.droppedTrades++;
+            continue;
+        }
+        
+        // Optional details: unreadable values are left out rather than kept as junk
+        const trade = { ...rest, timestamp, price, side };
+        let repaired = false;
+        for (const field of TRADE_NUMBER_FIELDS) {
+            if (rest[field] === undefined) continue;
+            const value = parseNumber(rest[field]);
+            trade[field] = Number.isNaN(value) ? undefined : value;
+            repaired = repaired || trade[field] !== rest[field];
+        }
+        for (const field of TRADE_TEXT_FIELDS) {
+            if (rest[field] === undefined) continue;
+            const value = typeof rest[field] === 'string' ? rest[field].trim() : '';
+            trade[field] = value || undefined;
+            repaired = repaired || trade[field] !== rest[field];
+        }
+        
+        const key = tradeKey(trade);
+        if (seen.has(key)) {
+            report.duplicates++;
+            continue;
+        }
+        seen.add(key);
+        
+        if (timestamp !== rawTime || side !== rest.side || price !== rest.price || repaired) {
+            report.repairedTrades++;
+        }
+        valid.push(trade);
+    }
+    
+    sortByTime(valid, report);
+    return valid;
+}
+
+/**
+ * Things the bot marks on its own timeline, such as restarts and
+ * rebalances: [{ t, type, text?, price? }] -> [{ timestamp, type, text, price? }]
+ * sorted by time. Records without a time or type are dropped.
+ */
+function validateEvents(events) {
+    if (!Array.isArray(events)) return [];
+    
+    const valid = [];
+    for (const record of events) {
+        if (!record || typeof record !== 'object') continue;
+        
+        const timestamp = parseTimestamp(record.t !== undefined ? record.t : record.timestamp);
+        const type = typeof record.type === 'string' ? record.type.trim() : '';
+        if (isNaN(timestamp) || type === '') continue;
+        
+        const text = typeof record.text === 'string' ? record.text.trim() : '';
+        const price = parseNumber(record.price);
+        valid.push(price > 0 ? { timestamp, type, text, price } : { timestamp, type, text });
+    }
+    
+    return valid.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Validated copy of a current.json / YYYY-MM-DD.json payload:
+ * { prices, trades, events, quality }.
+ */
+function validatePayload(data) {
+    const quality = emptyQualityReport();
+    return {
+        prices: validatePrices(data.prices, quality),
+        trades: validateTrades(data.trades, quality),
+        events: validateEvents(data.events),
+        quality
+    };
+}
+
+/**
+ * Optional `status` block of a snapshot (or a { type: 'status' } push):
+ *
+ *   { heartbeat, balances: { ETH: 1.2, USDC: 3400 }, openOrders, lastError, version }
+ *
+ * lastError may be a string or { message, timestamp }. Unreadable fields
+ * become null; null overall when there's no block.
+ */
+function validateStatus(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    
+    const heartbeat = parseTimestamp(raw.heartbeat);
+    const openOrders = parseNumber(raw.openOrders);
+    const balances = raw.balances && typeof raw.balances === 'object'
+        ? Object.entries(raw.balances)
+            .map(([asset, amount]) => ({ asset, amount: parseNumber(amount) }))
+            .filter(balance => !isNaN(balance.amount))
+        : [];
+    
+    let lastError = null;
+    if (typeof raw.lastError === 'string' && raw.lastError) {
+        lastError = { message: raw.lastError, timestamp: null };
+    } else if (raw.lastError && typeof raw.lastError === 'object' && raw.lastError.message) {
+        const timestamp = parseTimestamp(raw.lastError.timestamp !== undefined ? raw.lastError.timestamp : raw.lastError.t);
+        lastError = { message: String(raw.lastError.message), timestamp: isNaN(timestamp) ? null : timestamp };
+    }
+    
+    return {
+        heartbeat: isNaN(heartbeat) ? null : heartbeat,
+        balances,
+        openOrders: isNaN(openOrders) ? null : openOrders,
+        lastError,
+        version: raw.version ? String(raw.version) : null
+    };
+}
+
+// In-place, stable; counts records that arrived out of order
+function sortByTime(records, report) {
+    let latest = -Infinity;
+    let outOfOrder = 0;
+    for (const record of records) {
+        if (record.timestamp < latest) outOfOrder++;
+        else latest = record.timestamp;
+    }
+    
+    if (outOfOrder > 0) {
+        records.sort((a, b) => a.timestamp - b.timestamp);
+        report.reordered += outOfOrder;
+    }
+}
+
+/**
+ * Stretches of more than `thresholdMs` between consecutive ticks:
+ * [{ start, end, index }] where `index` is the first tick after the gap.
+ */
+function findGaps(prices, thresholdMs) {
+    const gaps = [];
+    for (let i = 1; i < prices.length; i++) {
+        if (prices[i].timestamp - prices[i - 1].timestamp > thresholdMs) {
+            gaps.push({ start: prices[i - 1].timestamp, end: prices[i].timestamp, index: i });
+        }
+    }
+    return gaps;
+}
+
+// Split sorted ticks into runs with no gap longer than `thresholdMs`
+function splitAtGaps(prices, thresholdMs) {
+    const runs = [];
+    let start = 0;
+    for (let i = 1; i <= prices.length; i++) {
+        if (i === prices.length || prices[i].timestamp - prices[i - 1].timestamp > thresholdMs) {
+            runs.push(prices.slice(start, i));
+            start = i;
+        }
+    }
+    return runs;
+}
+
+function formatDuration(ms) {
+    if (ms < 60000) return `${Math.max(0, Math.round(ms / 1000))}s`;
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// ============================================
+// Trade Blotter
+// ============================================
+
+/**
+ * Identity for a trade that survives re-normalisation between polls.
+ */
+function tradeKey(trade) {
+    return `${trade.timestamp}:${trade.side}:${trade.price}`;
+}
+
+const BLOTTER_BASE_COLUMNS = [
+    { key: 'timestamp', label: 'Time' },
+    { key: 'side', label: 'Side' },
+    { key: 'price', label: 'Price' },
+    { key: 'usdValue', label: 'Value' }
+];
+
+/**
+ * Sortable, filterable table of the trades on the chart. Rows and markers
+ * are linked both ways: clicking a row focuses its marker, hovering a
+ * marker highlights its row.
+ */
+class TradeBlotter {
+    constructor(chart) {
+        this.chart = chart;
+        this.trades = [];
+        this.columns = BLOTTER_BASE_COLUMNS;
+        this.sortKey = 'timestamp';
+        this.sortDir = -1; // Newest first
+        this.sideFilter = 'all';
+        this.search = '';
+        this.selectedKey = null;
+        this.signature = null;
+        
+        // DOM elements
+        this.table = document.getElementById('trade-table');
+        this.head = this.table.querySelector('thead');
+        this.body = this.table.querySelector('tbody');
+        this.count = document.getElementById('trade-count');
+        this.sideSelect = document.getElementById('trade-side-filter');
+        this.searchInput = document.getElementById('trade-search');
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        this.chart.on('data', () => this.setTrades(this.chart.trades));
+        this.chart.on('tradehover', (trade) => this.highlightRow(trade));
+        this.chart.on('settingschange', () => this.render());
+        
+        this.head.addEventListener('click', (e) => {
+            const key = e.target.closest('th') && e.target.closest('th').dataset.key;
+            if (!key) return;
+            
+            this.sortDir = key === this.sortKey ? -this.sortDir : (key === 'timestamp' ? -1 : 1);
+            this.sortKey = key;
+            this.render();
+        });
+        
+        this.body.addEventListener('click', (e) => {
+            const row = e.target.closest('tr');
+            if (!row || !row.dataset.key) return;
+            
+            const trade = this.trades.find(t => tradeKey(t) === row.dataset.key);
+            if (trade) {
+                this.selectedKey = row.dataset.key;
+                this.chart.focusTrade(trade);
+                this.render();
+            }
+        });
+        
+        this.sideSelect.addEventListener('change', () => {
+            this.sideFilter = this.sideSelect.value;
+            this.render();
+        });
+        
+        this.searchInput.addEventListener('input', () => {
+            this.search = this.searchInput.value.trim().toLowerCase();
+            this.render();
+        });
+    }
+    
+    /**
+     * Take the chart's trades; only re-render when they actually changed so
+     * live ticks don't rebuild the table.
+     */
+    setTrades(trades) {
+        const columns = BLOTTER_BASE_COLUMNS.concat(this.extraColumns(trades));
+        const last = trades[trades.length - 1];
+        const signature = [trades.length, last ? tradeKey(last) : '', ...columns.map(c => c.key)].join('|');
+        
+        this.trades = trades;
+        if (signature === this.signature) return;
+        
+        this.signature = signature;
+        this.columns = columns;
+        this.render();
+    }
+    
+    // Any other fields the backend sends get their own column
+    extraColumns(trades) {
+        const known = new Set(BLOTTER_BASE_COLUMNS.map(c => c.key));
+        const keys = [];
+        
+        for (const trade of trades) {
+            for (const key of Object.keys(trade)) {
+                if (known.has(key) || trade[key] === undefined || trade[key] === null) continue;
+                known.add(key);
+                keys.push(key);
+            }
+        }
+        
+        return keys.map(key => ({
+            key,
+            label: key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, c => c.toUpperCase())
+        }));
+    }
+    
+    visibleTrades() {
+        const rows = this.trades.filter(trade => {
+            if (this.sideFilter !== 'all' && trade.side !== this.sideFilter) return false;
+            if (!this.search) return true;
+            return this.columns.some(c => String(this.formatCell(trade, c.key)).toLowerCase().includes(this.search));
+        });
+        
+        const key = this.sortKey;
+        return rows.sort((a, b) => {
+            const x = a[key];
+            const y = b[key];
+            if (x === y) return 0;
+            if (x === undefined || x === null) return 1;
+            if (y === undefined || y === null) return -1;
+            return (x < y ? -1 : 1) * this.sortDir;
+        });
+    }
+    
+    render() {
+        this.head.innerHTML = '<tr>' + this.columns.map(c => {
+            const arrow = c.key === this.sortKey ? (this.sortDir > 0 ? ' ▲' : ' ▼') : '';
+            return `<th data-key="${escapeHtml(c.key)}">${escapeHtml(c.label)}${arrow}</th>`;
+        }).join('') + '</tr>';
+        
+        const rows = this.visibleTrades();
+        const shown = rows.slice(0, CONFIG.blotterMaxRows);
+        
+        this.body.innerHTML = shown.map(trade => {
+            const key = tradeKey(trade);
+            const selected = key === this.selectedKey ? ' selected' : '';
+            const cells = this.columns.map(c => {
+                const value = this.formatCell(trade, c.key);
+                const className = c.key === 'side' ? ` class="${escapeHtml(trade.side)}"` : '';
+                return `<td${className} title="${escapeHtml(String(trade[c.key] ?? ''))}">${escapeHtml(String(value))}</td>`;
+            }).join('');
+            return `<tr data-key="${escapeHtml(key)}" class="${escapeHtml(trade.side)}${selected}">${cells}</tr>`;
+        }).join('');
+        
+        if (rows.length === 0) {
+            this.body.innerHTML = `<tr class="empty"><td colspan="${this.columns.length}">No trades</td></tr>`;
+        }
+        
+        const total = this.trades.length;
+        this.count.textContent = rows.length === total
+            ? `${total} trade${total === 1 ? '' : 's'}`
+            : `${rows.length} of ${total} trades`;
+        if (rows.length > shown.length) this.count.textContent += ` (first ${shown.length} shown)`;
+    }
+    
+    formatCell(trade, key) {
+        const value = trade[key];
+        if (value === undefined || value === null) return '';
+        
+        switch (key) {
+            case 'timestamp':
+                return formatTime(value, {
+                    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+                });
+            case 'side':
+                return value.toUpperCase();
+            case 'price':
+            case 'usdValue':
+            case 'quotedPrice':
+            case 'fee':
+                return formatQuote(Number(value));
+            case 'gasUsd':
+                return formatQuote(Number(value), { assets: { quote: 'USD', priceDecimals: 2 } });
+            case 'amount':
+                return Number(value).toLocaleString('en-US', { maximumFractionDigits: 6 });
+        }
+        
+        // Long hashes / ids: keep the ends
+        if (typeof value === 'string' && value.length > 16) {
+            return value.slice(0, 8) + '…' + value.slice(-6);
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+    
+    highlightRow(trade) {
+        const previous = this.body.querySelector('tr.hovered');
+        if (previous) previous.classList.remove('hovered');
+        if (!trade) return;
+        
+        const row = [...this.body.rows].find(r => r.dataset.key === tradeKey(trade));
+        if (!row) return;
+        row.classList.add('hovered');
+        
+        // Bring the row into view inside the table only - scrolling the page
+        // would pull the chart out from under the cursor
+        const scroller = row.closest('.table-scroll');
+        if (!scroller) return;
+        const header = this.head.offsetHeight;
+        const top = row.offsetTop - header;
+        const bottom = row.offsetTop + row.offsetHeight;
+        if (top < scroller.scrollTop) {
+            scroller.scrollTop = top;
+        } else if (bottom > scroller.scrollTop + scroller.clientHeight) {
+            scroller.scrollTop = bottom - scroller.clientHeight;
+        }
+    }
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// ============================================
+// Trade Details
+// ============================================
+
+/**
+ * Side drawer with everything known about one fill, opened by clicking its
+ * marker: size, fill vs quoted price, fee, gas, venue and a block explorer
+ * link for the transaction. Fields the backend doesn't send are left out.
+ */
+class TradeDrawer {
+    constructor(chart, carousel) {
+        this.chart = chart;
+        this.carousel = carousel;
+        this.trade = null;
+        
+        // DOM elements
+        this.drawer = document.getElementById('trade-drawer');
+        this.title = document.getElementById('trade-drawer-title');
+        this.details = document.getElementById('trade-details');
+        this.closeButton = document.getElementById('trade-drawer-close');
+        
+        this.closeButton.addEventListener('click', () => this.close());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.trade) this.close();
+        });
+        
+        chart.on('plotclick', (click) => {
+            if (!click.trade || click.handled) return;
+            click.handled = true;
+            this.open(click.trade);
+        });
+        chart.on('settingschange', () => {
+            if (this.trade) this.render();
+        });
+        // Another bot or day range
+        chart.on('data', () => {
+            if (this.trade && !chart.trades.some(trade => tradeKey(trade) === tradeKey(this.trade))) this.close();
+        });
+    }
+    
+    open(trade) {
+        this.trade = trade;
+        this.chart.highlightTrade(trade);
+        this.render();
+        this.drawer.classList.add('open');
+        this.drawer.setAttribute('aria-hidden', 'false');
+    }
+    
+    close() {
+        if (!this.trade) return;
+        
+        this.trade = null;
+        this.chart.highlightTrade(null);
+        this.drawer.classList.remove('open');
+        this.drawer.setAttribute('aria-hidden', 'true');
+    }
+    
+    // The bot's explorer, else CONFIG's; null when neither is set
+    explorerUrl(txHash) {
+        const template = (this.carousel.bot && this.carousel.bot.explorerTxUrl) || CONFIG.explorerTxUrl;
+        return template ? template.replace('{tx}', encodeURIComponent(txHash)) : null;
+    }
+    
+    // [label, html, className] for each field the trade has
+    rows(trade) {
+        const rows = [];
+        const amount = tradeAmount(trade);
+        const value = trade.usdValue > 0 ? trade.usdValue : amount * trade.price;
+        const costs = tradeCosts(trade);
+        const slippage = tradeSlippage(trade);
+        const dollars = { assets: { quote: 'USD', priceDecimals: 2 } };
+        
+        rows.push(['Time', formatTime(trade.timestamp, {
+            year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+        })]);
+        rows.push(['Fill price', formatQuote(trade.price)]);
+        if (trade.quotedPrice > 0) rows.push(['Quoted price', formatQuote(trade.quotedPrice)]);
+        if (slippage !== null) rows.push(['Slippage', formatPercent(slippage, 3), slippage > 0 ? 'negative' : slippage < 0 ? 'positive' : '']);
+        if (amount > 0) rows.push(['Amount', formatBase(amount)]);
+        if (value > 0) rows.push(['Value', formatQuote(value)]);
+        if (trade.fee !== undefined) rows.push(['Fee', formatQuote(trade.fee)]);
+        
+        const gas = [
+            trade.gasEth !== undefined ? `${trade.gasEth.toLocaleString('en-US', { maximumFractionDigits: 8 })} ETH` : '',
+            trade.gasUsd !== undefined ? formatQuote(trade.gasUsd, dollars) : ''
+        ].filter(Boolean).join(' · ');
+        if (gas) rows.push(['Gas', gas]);
+        
+        if (value > 0 && costs.fee + costs.gas > 0) {
+            rows.push(trade.side === 'buy'
+                ? ['Total cost', formatQuote(value + costs.fee + costs.gas)]
+                : ['Net proceeds', formatQuote(value - costs.fee - costs.gas)]);
+        }
+        
+        if (trade.venue) rows.push(['Venue', escapeHtml(trade.venue)]);
+        if (trade.pool) rows.push(['Pool', escapeHtml(trade.pool)]);
+        if (trade.txHash) {
+            const url = this.explorerUrl(trade.txHash);
+            const hash = escapeHtml(trade.txHash);
+            const short = hash.length > 20 ? `${hash.slice(0, 10)}…${hash.slice(-8)}` : hash;
+            rows.push(['Transaction', url
+                ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener" title="${hash}">${short} ↗</a>`
+                : `<span title="${hash}">${short}</span>`]);
+        }
+        return rows;
+    }
+    
+    render() {
+        const trade = this.trade;
+        this.title.textContent = `${trade.side === 'buy' ? 'Buy' : 'Sell'} ${market.pair}`;
+        this.title.className = trade.side;
+        this.details.innerHTML = this.rows(trade).map(([label, html, className = '']) => `
+            <dt>${label}</dt>
+            <dd class="${className}">${html}</dd>
+        `).join('');
+    }
+}
+
+// ============================================
+// Alerts
+// ============================================
+
+/**
+ * Alert conditions, evaluated against the live day. An alert fires when its
+ * condition becomes true and re-arms once it's false again. `edge` types
+ * (crossings) never fire on the first check, so opening the page above a
+ * level isn't reported as a cross.
+ */
+const ALERT_TYPES = {
+    'price-above': {
+        label: 'Price crosses above',
+        unit: 'price',
+        edge: true,
+        test: (state, value) => state.price > value,
+        message: (state, value) => `${state.assets.base} crossed above ${formatQuote(value, { assets: state.assets })} (now ${formatQuote(state.price, { assets: state.assets })})`
+    },
+    'price-below': {
+        label: 'Price crosses below',
+        unit: 'price',
+        edge: true,
+        test: (state, value) => state.price < value,
+        message: (state, value) => `${state.assets.base} crossed below ${formatQuote(value, { assets: state.assets })} (now ${formatQuote(state.price, { assets: state.assets })})`
+    },
+    'percent-move': {
+        label: 'Moves % from day open',
+        unit: '%',
+        test: (state, value) => Math.abs(state.price - state.baseline) / state.baseline * 100 >= value,
+        message: (state) => {
+            const move = (state.price - state.baseline) / state.baseline * 100;
+            return `${state.assets.base} moved ${move >= 0 ? '+' : ''}${move.toFixed(2)}% from ${formatQuote(state.baseline, { assets: state.assets })}`;
+        }
+    },
+    'no-trade': {
+        label: 'No trade for',
+        unit: 'min',
+        test: (state, value) => state.now - state.lastTradeAt >= value * 60000,
+        message: (state) => `${state.assets.name}: no trade for ${formatDuration(state.now - state.lastTradeAt)}`
+    },
+    'grid-range': {
+        label: 'Price leaves grid range',
+        unit: null,
+        test: (state) => state.gridLow !== null && (state.price < state.gridLow || state.price > state.gridHigh),
+        message: (state) => {
+            const format = value => formatQuote(value, { assets: state.assets });
+            return `${state.assets.base} at ${format(state.price)} left the grid (${format(state.gridLow)} – ${format(state.gridHigh)})`;
+        }
+    }
+};
+
+/**
+ * Saved alerts (localStorage), checked on every live update and once a
+ * second, so "no trade for" fires even while the feed is quiet. Firing
+ * shows a toast, a browser notification when allowed and optionally a beep.
+ * Each alert belongs to one bot; the panel lists the selected bot's alerts.
+ */
+class AlertManager {
+    constructor() {
+        this.alerts = this.load();
+        this.armed = {};       // alert id -> bool, runtime only
+        this.latest = {};      // bot id -> { entry, assets } last checked, re-checked by the clock
+        this.botId = null;
+        this.editingId = null;
+        this.audio = null;
+        
+        // DOM elements
+        this.form = document.getElementById('alert-form');
+        this.typeSelect = document.getElementById('alert-type');
+        this.valueInput = document.getElementById('alert-value');
+        this.soundInput = document.getElementById('alert-sound');
+        this.submitButton = this.form.querySelector('button[type="submit"]');
+        this.list = document.getElementById('alert-list');
+        this.count = document.getElementById('alert-count');
+        
+        this.renderTypes();
+        this.setupEventListeners();
+        this.updateForm();
+        this.render();
+        
+        setInterval(() => this.recheck(), 1000);
+    }
+    
+    /**
+     * Show the alerts of another bot. Alerts saved before there were several
+     * bots have no owner and are given to the first bot shown.
+     */
+    setBot(bot) {
+        this.botId = bot.id;
+        
+        const orphans = this.alerts.filter(alert => !alert.botId);
+        orphans.forEach(alert => alert.botId = bot.id);
+        if (orphans.length > 0) this.persist();
+        
+        this.cancelEdit();
+        this.renderTypes();
+        this.render();
+    }
+    
+    renderTypes() {
+        const type = this.typeSelect.value;
+        this.typeSelect.innerHTML = Object.entries(ALERT_TYPES)
+            .map(([type, def]) => `<option value="${type}">${def.label}${def.unit ? ` (${this.unitLabel(def.unit)})` : ''}</option>`)
+            .join('');
+        if (type) this.typeSelect.value = type;
+    }
+    
+    unitLabel(unit) {
+        return unit === 'price' ? market.quote : unit;
+    }
+    
+    botAlerts() {
+        return this.alerts.filter(alert => alert.botId === this.botId);
+    }
+    
+    setupEventListeners() {
+        this.typeSelect.addEventListener('change', () => this.updateForm());
+        
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const id = button.closest('[data-id]').dataset.id;
+            switch (button.dataset.action) {
+                case 'toggle':
+                    this.update(id, { enabled: button.checked });
+                    break;
+                case 'edit':
+                    this.edit(id);
+                    break;
+                case 'delete':
+                    this.remove(id);
+                    break;
+            }
+        });
+    }
+    
+    // ----------------------------------------
+    // Storage
+    // ----------------------------------------
+    
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.alertStorageKey));
+            return Array.isArray(saved) ? saved.filter(alert => ALERT_TYPES[alert.type]) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    persist() {
+        try {
+            localStorage.setItem(CONFIG.alertStorageKey, JSON.stringify(this.alerts));
+        } catch (error) {
+            console.warn('Could not save alerts:', error.message);
+        }
+    }
+    
+    // ----------------------------------------
+    // Editing
+    // ----------------------------------------
+    
+    updateForm() {
+        const def = ALERT_TYPES[this.typeSelect.value];
+        this.valueInput.classList.toggle('hidden', !def.unit);
+        this.valueInput.required = !!def.unit;
+        this.valueInput.placeholder = def.unit === 'price' ? 'Price' : def.unit === '%' ? 'Percent' : 'Minutes';
+    }
+    
+    save() {
+        const type = this.typeSelect.value;
+        const value = ALERT_TYPES[type].unit ? Number(this.valueInput.value) : null;
+        if (value !== null && !(value > 0)) return;
+        
+        const changes = { type, value, sound: this.soundInput.checked };
+        if (this.editingId) {
+            this.update(this.editingId, changes);
+        } else {
+            const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+            this.alerts.push({ id, botId: this.botId, enabled: true, ...changes });
+            this.persist();
+            this.render();
+        }
+        
+        this.cancelEdit();
+        
+        // Ask while we still have the click's user gesture
+        if (window.Notification && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    }
+    
+    edit(id) {
+        const alert = this.alerts.find(a => a.id === id);
+        if (!alert) return;
+        
+        this.editingId = id;
+        this.typeSelect.value = alert.type;
+        this.updateForm();
+        this.valueInput.value = alert.value === null ? '' : alert.value;
+        this.soundInput.checked = alert.sound;
+        this.submitButton.textContent = 'Save';
+        this.valueInput.focus();
+    }
+    
+    cancelEdit() {
+        this.editingId = null;
+        this.form.reset();
+        this.updateForm();
+        this.submitButton.textContent = 'Add';
+    }
+    
+    update(id, changes) {
+        const alert = this.alerts.find(a => a.id === id);
+        if (!alert) return;
+        
+        Object.assign(alert, changes);
+        delete this.armed[id];
+        this.persist();
+        this.render();
+    }
+    
+    remove(id) {
+        this.alerts = this.alerts.filter(a => a.id !== id);
+        delete this.armed[id];
+        if (this.editingId === id) this.cancelEdit();
+        this.persist();
+        this.render();
+    }
+    
+    describe(alert) {
+        const def = ALERT_TYPES[alert.type];
+        if (def.unit === 'price') return `${def.label} ${formatQuote(alert.value)}`;
+        if (def.unit === '%') return `${def.label} ±${alert.value}%`;
+        if (def.unit) return `${def.label} ${alert.value} ${def.unit}`;
+        return def.label;
+    }
+    
+    render() {
+        const alerts = this.botAlerts();
+        const active = alerts.filter(a => a.enabled).length;
+        this.count.textContent = alerts.length > 0 ? `${active} of ${alerts.length} active` : '';
+        
+        if (alerts.length === 0) {
+            this.list.innerHTML = '<li class="empty">No alerts yet</li>';
+            return;
+        }
+        
+        this.list.innerHTML = alerts.map(alert => `
+            <li data-id="${alert.id}"${alert.enabled ? '' : ' class="disabled"'}>
+                <input type="checkbox" data-action="toggle"${alert.enabled ? ' checked' : ''} aria-label="Enabled">
+                <span class="alert-text">${escapeHtml(this.describe(alert))}${alert.sound ? ' 🔔' : ''}</span>
+                <button data-action="edit">Edit</button>
+                <button data-action="delete">Delete</button>
+            </li>
+        `).join('');
+    }
+    
+    // ----------------------------------------
+    // Checking & firing
+    // ----------------------------------------
+    
+    /**
+     * Evaluate a bot's enabled alerts against its live day entry
+     * ({ prices, trades, grid } from the day cache). `assets` is the bot
+     * the entry belongs to; the selected one unless the overview grid is
+     * checking a bot in the background.
+     */
+    check(entry, assets = market) {
+        const state = this.liveState(entry, assets);
+        if (!state) return;
+        
+        // `market` changes in place on a bot switch, so keep a copy
+        this.latest[assets.id] = { entry, assets: { ...assets } };
+        
+        for (const alert of this.alerts) {
+            if (!alert.enabled || alert.botId !== assets.id) continue;
+            
+            const def = ALERT_TYPES[alert.type];
+            const triggered = def.test(state, alert.value);
+            
+            if (this.armed[alert.id] === undefined) {
+                this.armed[alert.id] = def.edge ? !triggered : true;
+            }
+            
+            if (triggered && this.armed[alert.id]) {
+                this.fire(alert, def.message(state, alert.value));
+            }
+            this.armed[alert.id] = !triggered;
+        }
+    }
+    
+    // Time-based alerts can trigger without new data arriving
+    recheck() {
+        for (const { entry, assets } of Object.values(this.latest)) {
+            this.check(entry, assets);
+        }
+    }
+    
+    liveState(entry, assets) {
+        if (!entry || entry.prices.length === 0) return null;
+        
+        const prices = entry.prices;
+        const lastTrade = entry.trades[entry.trades.length - 1];
+        const snapshot = entry.grid[entry.grid.length - 1];
+        const levels = snapshot ? snapshot.levels : [];
+        
+        return {
+            assets,
+            now: Date.now(),
+            price: prices[prices.length - 1].price,
+            baseline: prices[0].price,
+            // No trade yet today: count from the first tick
+            lastTradeAt: lastTrade ? lastTrade.timestamp : prices[0].timestamp,
+            gridLow: levels.length > 0 ? levels[0].price : null,
+            gridHigh: levels.length > 0 ? levels[levels.length - 1].price : null
+        };
+    }
+    
+    fire(alert, message) {
+        showToast(message);
+        
+        if (window.Notification && Notification.permission === 'granted') {
+            try {
+                new Notification('TRAHN Grid alert', { body: message, tag: 'trahn-alert-' + alert.id });
+            } catch (error) {
+                // Some mobile browsers only allow notifications from a service worker
+            }
+        }
+        
+        if (alert.sound) this.beep();
+    }
+    
+    // Short two-tone chime; no audio files to ship
+    beep() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+        
+        this.audio = this.audio || new AudioContext();
+        const now = this.audio.currentTime;
+        
+        [880, 1320].forEach((frequency, i) => {
+            const oscillator = this.audio.createOscillator();
+            const gain = this.audio.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, now + i * 0.15);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + i * 0.15 + 0.14);
+            oscillator.connect(gain).connect(this.audio.destination);
+            oscillator.start(now + i * 0.15);
+            oscillator.stop(now + i * 0.15 + 0.15);
+        });
+    }
+}
+
+// In-page notice, bottom right; click to dismiss. `variant` is a CSS modifier.
+function showToast(message, variant = '') {
+    const toast = document.createElement('div');
+    toast.className = variant ? `toast ${variant}` : 'toast';
+    toast.textContent = message;
+    toast.addEventListener('click', () => toast.remove());
+    
+    document.getElementById('toasts').appendChild(toast);
+    setTimeout(() => toast.remove(), CONFIG.toastMs);
+}
+
+// ============================================
+// Annotations
+// ============================================
+
+const ANNOTATION_KINDS = {
+    note: 'Note',
+    time: 'Time marker',
+    price: 'Price line'
+};
+
+/**
+ * Check an annotation from storage or an import file; null if unusable.
+ * Notes need a time and price, time markers a time, price lines a price.
+ */
+function validateAnnotation(raw) {
+    if (!raw || typeof raw !== 'object' || !ANNOTATION_KINDS[raw.kind] || !isDayString(raw.day)) return null;
+    
+    const text = typeof raw.text === 'string' ? raw.text.trim().slice(0, 200) : '';
+    const timestamp = parseTimestamp(raw.timestamp);
+    const price = parseNumber(raw.price);
+    if (text === '') return null;
+    if (raw.kind !== 'price' && isNaN(timestamp)) return null;
+    if (raw.kind !== 'time' && !(price > 0)) return null;
+    
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        kind: raw.kind,
+        day: raw.day,
+        timestamp: raw.kind === 'price' ? undefined : timestamp,
+        price: raw.kind === 'time' ? undefined : price,
+        text
+    };
+}
+
+/**
+ * User notes, time markers and price lines, saved per bot and day in
+ * localStorage and shared as JSON files. Events the bot reports itself are
+ * drawn alongside but not stored.
+ */
+class AnnotationManager {
+    constructor(chart, carousel) {
+        this.chart = chart;
+        this.carousel = carousel;
+        this.saved = this.load();   // { botId: { day: [annotation] } }
+        this.pending = null;        // { kind, text } waiting for a click on the chart
+        this.signature = null;
+        
+        // DOM elements
+        this.form = document.getElementById('annotation-form');
+        this.kindSelect = document.getElementById('annotation-kind');
+        this.textInput = document.getElementById('annotation-text');
+        this.submitButton = this.form.querySelector('button[type="submit"]');
+        this.fileInput = document.getElementById('annotation-file');
+        this.list = document.getElementById('annotation-list');
+        this.count = document.getElementById('annotation-count');
+        
+        this.kindSelect.innerHTML = Object.entries(ANNOTATION_KINDS)
+            .map(([kind, label]) => `<option value="${kind}">${label}</option>`)
+            .join('');
+        
+        this.setupEventListeners();
+        chart.on('data', () => this.sync());
+        chart.on('plotclick', (click) => this.place(click));
+    }
+    
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.pending) {
+                this.cancelPlacing();
+            } else if (this.textInput.value.trim() !== '') {
+                this.pending = { kind: this.kindSelect.value, text: this.textInput.value.trim() };
+                this.chart.canvas.classList.add('placing');
+                this.submitButton.textContent = 'Click the chart… (Esc)';
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.pending) this.cancelPlacing();
+        });
+        
+        document.getElementById('annotation-export').addEventListener('click', () => this.exportJson());
+        document.getElementById('annotation-import').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) this.importJson(file);
+        });
+        
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="delete"]');
+            if (button) this.remove(button.closest('[data-id]').dataset.id);
+        });
+    }
+    
+    // ----------------------------------------
+    // Storage
+    // ----------------------------------------
+    
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.annotationStorageKey));
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    persist() {
+        try {
+            localStorage.setItem(CONFIG.annotationStorageKey, JSON.stringify(this.saved));
+        } catch (error) {
+            console.warn('Could not save annotations:', error.message);
+        }
+    }
+    
+    dayAnnotations(botId, day) {
+        const days = this.saved[botId] || {};
+        return (days[day] || []).map(validateAnnotation).filter(Boolean);
+    }
+    
+    add(botId, annotations) {
+        const days = this.saved[botId] = this.saved[botId] || {};
+        let added = 0;
+        
+        for (const annotation of annotations) {
+            const list = days[annotation.day] = days[annotation.day] || [];
+            if (list.some(existing => existing.id === annotation.id)) continue;
+            list.push(annotation);
+            added++;
+        }
+        
+        this.persist();
+        return added;
+    }
+    
+    remove(id) {
+        const days = this.saved[this.carousel.bot.id] || {};
+        for (const day of Object.keys(days)) {
+            days[day] = days[day].filter(annotation => annotation.id !== id);
+            if (days[day].length === 0) delete days[day];
+        }
+        
+        this.persist();
+        this.sync();
+    }
+    
+    // ----------------------------------------
+    // Placing
+    // ----------------------------------------
+    
+    place(click) {
+        if (!this.pending || !this.carousel.bot) return;
+        
+        click.handled = true;
+        const { timestamp, price } = click;
+        const annotation = validateAnnotation({ ...this.pending, day: this.dayAt(timestamp), timestamp, price });
+        this.cancelPlacing();
+        this.textInput.value = '';
+        if (!annotation) return;
+        
+        this.add(this.carousel.bot.id, [annotation]);
+        this.sync();
+    }
+    
+    cancelPlacing() {
+        this.pending = null;
+        this.chart.canvas.classList.remove('placing');
+        this.submitButton.textContent = 'Place';
+    }
+    
+    // Selected day whose trading day contains `timestamp`
+    dayAt(timestamp) {
+        const days = this.carousel.selectedDays();
+        return days.filter(day => tradingDayStart(day) <= timestamp).pop() || days[0];
+    }
+    
+    // ----------------------------------------
+    // Sharing
+    // ----------------------------------------
+    
+    exportJson() {
+        const days = this.carousel.selectedDays();
+        const annotations = days.flatMap(day => this.dayAnnotations(this.carousel.bot.id, day));
+        if (annotations.length === 0) {
+            showToast('No annotations to export for these days.');
+            return;
+        }
+        
+        const label = days.length > 1 ? `${days[0]}_${days[days.length - 1]}` : days[0];
+        const body = { bot: this.carousel.bot.id, annotations };
+        downloadBlob(JSON.stringify(body, null, 2), `trahn-${market.id}-${label}-annotations.json`, 'application/json');
+    }
+    
+    /**
+     * Merge a file written by exportJson() (or a bare array). Annotations
+     * are kept under the bot named in the file, already-known ids skipped.
+     */
+    async importJson(file) {
+        try {
+            const body = JSON.parse(await file.text());
+            const raw = Array.isArray(body) ? body : body && body.annotations;
+            if (!Array.isArray(raw)) throw new Error('no annotations array');
+            
+            const botId = body.bot && typeof body.bot === 'string' ? body.bot : this.carousel.bot.id;
+            const annotations = raw.map(validateAnnotation).filter(Boolean);
+            const added = this.add(botId, annotations);
+            
+            const skipped = raw.length - annotations.length;
+            showToast(`Imported ${added} annotation${added === 1 ? '' : 's'}` +
+                (skipped > 0 ? ` (${skipped} unreadable)` : '') +
+                (botId !== this.carousel.bot.id ? ` for ${botId}` : '') + '.');
+            this.sync();
+        } catch (error) {
+            showToast(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+    
+    // ----------------------------------------
+    // Rendering
+    // ----------------------------------------
+    
+    // User annotations plus bot events for the selected days
+    visible() {
+        const bot = this.carousel.bot;
+        if (!bot) return [];
+        
+        const annotations = [];
+        for (const day of this.carousel.selectedDays()) {
+            for (const annotation of this.dayAnnotations(bot.id, day)) {
+                annotations.push({ ...annotation, source: 'user' });
+            }
+            
+            const entry = this.carousel.dayCache[day];
+            (entry && entry.events || []).forEach((event, i) => annotations.push({
+                id: `${day}-event-${i}`,
+                kind: event.price ? 'note' : 'time',
+                day,
+                timestamp: event.timestamp,
+                price: event.price,
+                text: event.text ? `${event.type}: ${event.text}` : event.type,
+                source: 'bot'
+            }));
+        }
+        return annotations;
+    }
+    
+    sync() {
+        const annotations = this.visible();
+        const signature = JSON.stringify(annotations);
+        if (signature === this.signature) return;
+        this.signature = signature;
+        
+        this.chart.setAnnotations(annotations);
+        this.render(annotations);
+    }
+    
+    describe(annotation) {
+        if (annotation.kind === 'price') return `${formatQuote(annotation.price)} · ${annotation.text}`;
+        const time = formatTime(annotation.timestamp, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        return `${time} · ${annotation.text}`;
+    }
+    
+    render(annotations) {
+        this.count.textContent = annotations.length > 0 ? `${annotations.length} shown` : '';
+        
+        if (annotations.length === 0) {
+            this.list.innerHTML = '<li class="empty">No annotations for these days</li>';
+            return;
+        }
+        
+        this.list.innerHTML = annotations.map(annotation => `
+            <li data-id="${escapeHtml(annotation.id)}" class="${annotation.source}">
+                <span class="annotation-kind">${annotation.source === 'bot' ? 'Bot event' : ANNOTATION_KINDS[annotation.kind]}</span>
+                <span class="annotation-text">${escapeHtml(this.describe(annotation))}</span>
+                ${annotation.source === 'bot' ? '' : '<button data-action="delete">Delete</button>'}
+            </li>
+        `).join('');
+    }
+}
+
+// ============================================
+// Grid Simulator
+// ============================================
+
+const GRID_SPACINGS = {
+    arithmetic: 'Arithmetic',
+    geometric: 'Geometric'
+};
+
+// `levels` prices from `lower` to `upper`, equal steps or equal ratios
+function gridLevels(lower, upper, levels, spacing) {
+    return Array.from({ length: levels }, (_, i) => {
+        const fraction = i / (levels - 1);
+        return spacing === 'geometric'
+            ? lower * Math.pow(upper / lower, fraction)
+            : lower + (upper - lower) * fraction;
+    });
+}
+
+/**
+ * Replay ticks through a spot grid and return its hypothetical fills.
+ *
+ * Each cell between two neighbouring levels holds either a buy resting on its
+ * lower level or, once that fills, a sell of the same amount on its upper
+ * level. Cells above the first tick start out holding, bought at market on
+ * that tick like a real grid bot's opening order. Orders are `orderSize` of
+ * the quote asset at the cell's buy level and fill at their level price once
+ * a tick reaches it. Fees are left to summarizeFills().
+ */
+function simulateGrid(prices, { lower, upper, levels, spacing, orderSize }) {
+    const levelPrices = gridLevels(lower, upper, levels, spacing);
+    const cells = levelPrices.slice(0, -1).map((buyPrice, i) => ({
+        buyPrice,
+        sellPrice: levelPrices[i + 1],
+        amount: orderSize / buyPrice,
+        holding: false
+    }));
+    const fills = [];
+    const fill = (timestamp, price, side, amount, extra = {}) => {
+        fills.push({ timestamp, price, side, amount, usdValue: amount * price, simulated: true, ...extra });
+    };
+    
+    if (prices.length === 0) return { levels: levelPrices, fills };
+    
+    const open = prices[0];
+    const opening = cells.filter(cell => cell.buyPrice >= open.price);
+    if (opening.length > 0) {
+        opening.forEach(cell => { cell.holding = true; });
+        fill(open.timestamp, open.price, 'buy', opening.reduce((sum, cell) => sum + cell.amount, 0), { opening: true });
+    }
+    
+    for (const point of prices) {
+        for (const cell of cells) {
+            if (!cell.holding && point.price <= cell.buyPrice) {
+                cell.holding = true;
+                fill(point.timestamp, cell.buyPrice, 'buy', cell.amount);
+            } else if (cell.holding && point.price >= cell.sellPrice) {
+                cell.holding = false;
+                fill(point.timestamp, cell.sellPrice, 'sell', cell.amount);
+            }
+        }
+    }
+    
+    return { levels: levelPrices, fills };
+}
+
+/**
+ * Totals for one side of the simulated-vs-actual table. Both sides start
+ * flat. Fills pay `feeRate` unless they carry the fee and gas they actually
+ * paid (the bot's own trades usually do), which are charged instead.
+ */
+function summarizeFills(prices, trades, method, feeRate) {
+    const pnl = computeDayPnl(prices, trades, method);
+    let volume = 0;
+    for (const trade of trades) volume += tradeAmount(trade) * trade.price;
+    
+    const recorded = trades.some(trade => trade.fee > 0 || trade.gasEth > 0 || trade.gasUsd > 0);
+    const costs = recorded ? pnl.fees + pnl.gas : volume * feeRate / 100;
+    
+    return {
+        buys: trades.filter(trade => trade.side === 'buy').length,
+        sells: trades.filter(trade => trade.side === 'sell').length,
+        volume,
+        costs,
+        recorded,
+        realized: pnl.realized,
+        unrealized: pnl.unrealized,
+        net: pnl.realized + pnl.unrealized - costs,
+        inventory: pnl.inventory
+    };
+}
+
+/**
+ * What-if panel: runs the selected days' cached ticks through a grid with
+ * the user's bounds, levels, spacing, order size and fee, draws the fills on
+ * the chart as ghost markers and compares the result with the bot's trades.
+ * Everything runs on data already in the day cache.
+ */
+class GridSimulator {
+    constructor(chart, carousel) {
+        this.chart = chart;
+        this.carousel = carousel;
+        this.selection = null;  // bot|days the inputs and result belong to
+        this.suggested = false; // Inputs filled in for this selection
+        this.edited = false;    // Keep the user's numbers across days once touched
+        this.fills = [];        // Last run, drawn up to the newest tick on the chart
+        
+        // DOM elements
+        this.form = document.getElementById('sim-form');
+        this.inputs = {
+            lower: document.getElementById('sim-lower'),
+            upper: document.getElementById('sim-upper'),
+            levels: document.getElementById('sim-levels'),
+            spacing: document.getElementById('sim-spacing'),
+            orderSize: document.getElementById('sim-order-size'),
+            feeRate: document.getElementById('sim-fee')
+        };
+        this.clearButton = document.getElementById('sim-clear');
+        this.summary = document.getElementById('sim-summary');
+        this.meta = document.getElementById('sim-meta');
+        this.legend = document.getElementById('sim-legend');
+        
+        this.inputs.spacing.innerHTML = Object.entries(GRID_SPACINGS)
+            .map(([spacing, label]) => `<option value="${spacing}">${label}</option>`)
+            .join('');
+        
+        this.form.addEventListener('input', () => { this.edited = true; });
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.run();
+        });
+        this.clearButton.addEventListener('click', () => this.clear());
+        chart.on('data', () => this.sync());
+        carousel.on('selectionchange', () => this.sync());
+        
+        this.clear();
+    }
+    
+    // Selected days' cached ticks and trades, in order
+    data() {
+        const prices = [];
+        const trades = [];
+        let grid = [];
+        for (const day of this.carousel.selectedDays()) {
+            const entry = this.carousel.dayCache[day];
+            if (!entry) continue;
+            prices.push(...entry.prices);
+            trades.push(...entry.trades);
+            if (entry.grid.length > 0) grid = entry.grid;
+        }
+        return { prices, trades, grid };
+    }
+    
+    // A new bot or day range makes the last result meaningless
+    sync() {
+        const bot = this.carousel.bot;
+        const selection = bot ? `${bot.id}|${this.carousel.selectedDays().join()}` : null;
+        if (selection !== this.selection) {
+            this.selection = selection;
+            this.suggested = false;
+            this.clear();
+        }
+        
+        // The selected days may still be loading
+        if (!this.suggested && !this.edited) {
+            const { prices, trades, grid } = this.data();
+            if (prices.length > 0) {
+                this.suggest(prices, trades, grid);
+                this.suggested = true;
+            }
+        }
+        
+        this.showFills();
+    }
+    
+    // During a replay, fills after the playhead stay hidden
+    showFills() {
+        const prices = this.chart.priceData;
+        const end = prices.length > 0 ? prices[prices.length - 1].timestamp : -Infinity;
+        this.chart.setSimulatedTrades(this.fills.filter(fill => fill.timestamp <= end));
+    }
+    
+    /**
+     * Start from the bot's own grid when it reports one, else the range
+     * traded, and its typical order size.
+     */
+    suggest(prices, trades, grid) {
+        const snapshot = grid[grid.length - 1];
+        const levels = snapshot ? snapshot.levels.map(level => level.price).sort((a, b) => a - b) : [];
+        let lower = levels[0];
+        let upper = levels[levels.length - 1];
+        
+        if (levels.length < 2) {
+            lower = prices.reduce((min, point) => Math.min(min, point.price), Infinity);
+            upper = prices.reduce((max, point) => Math.max(max, point.price), -Infinity);
+        }
+        
+        const sizes = trades.map(trade => tradeAmount(trade) * trade.price).sort((a, b) => a - b);
+        const decimals = Number.isInteger(market.priceDecimals) ? market.priceDecimals : 2;
+        
+        this.inputs.lower.value = lower.toFixed(decimals);
+        this.inputs.upper.value = upper.toFixed(decimals);
+        this.inputs.levels.value = levels.length >= 2 ? levels.length : 10;
+        if (sizes.length > 0) this.inputs.orderSize.value = +sizes[Math.floor(sizes.length / 2)].toFixed(2);
+    }
+    
+    // Form values, or a message saying what is wrong
+    readParams() {
+        const params = {
+            lower: parseNumber(this.inputs.lower.value),
+            upper: parseNumber(this.inputs.upper.value),
+            levels: parseNumber(this.inputs.levels.value),
+            spacing: this.inputs.spacing.value,
+            orderSize: parseNumber(this.inputs.orderSize.value),
+            feeRate: parseNumber(this.inputs.feeRate.value)
+        };
+        
+        if (!(params.lower > 0) || !(params.upper > params.lower)) return 'Upper bound must be above a positive lower bound.';
+        if (!Number.isInteger(params.levels) || params.levels < 2 || params.levels > 200) return 'Levels must be a whole number from 2 to 200.';
+        if (!(params.orderSize > 0)) return 'Order size must be positive.';
+        if (!(params.feeRate >= 0 && params.feeRate < 100)) return 'Fee must be between 0 and 100%.';
+        return params;
+    }
+    
+    run() {
+        const params = this.readParams();
+        if (typeof params === 'string') {
+            showToast(params, 'error');
+            return;
+        }
+        
+        const { prices, trades } = this.data();
+        if (prices.length === 0) {
+            showToast('No ticks loaded for these days yet.');
+            return;
+        }
+        
+        const { fills } = simulateGrid(prices, params);
+        const method = this.carousel.pnlMethod;
+        this.fills = fills;
+        this.showFills();
+        this.render(
+            summarizeFills(prices, fills, method, params.feeRate),
+            summarizeFills(prices, trades, method, params.feeRate),
+            params
+        );
+        this.meta.textContent = `${fills.length} simulated fill${fills.length === 1 ? '' : 's'}`;
+        this.clearButton.disabled = false;
+        this.legend.classList.toggle('hidden', fills.length === 0);
+    }
+    
+    clear() {
+        this.fills = [];
+        this.chart.setSimulatedTrades([]);
+        this.summary.innerHTML = '<p class="empty">Set a grid and run it over the loaded ticks.</p>';
+        this.meta.textContent = '';
+        this.clearButton.disabled = true;
+        this.legend.classList.add('hidden');
+    }
+    
+    render(simulated, actual, params) {
+        const quote = (value) => formatQuote(value, { signed: true });
+        const rows = [
+            ['Buys / sells', (s) => `${s.buys} / ${s.sells}`],
+            ['Volume', (s) => formatQuote(s.volume)],
+            ['Fees + gas', (s) => formatQuote(-s.costs), (s) => -s.costs],
+            ['Realized P&L', (s) => quote(s.realized), (s) => s.realized],
+            ['Unrealized P&L', (s) => quote(s.unrealized), (s) => s.unrealized],
+            ['Net P&L', (s) => quote(s.net), (s) => s.net],
+            ['End inventory', (s) => formatBase(s.inventory)]
+        ];
+        const note = 'Both start flat (no inventory carried in). ' +
+            `The simulated grid pays ${params.feeRate}% per fill and buys the inventory for the cells above the first tick at market. ` +
+            (actual.recorded ? 'Actual trades are charged the fees and gas they recorded.' : `Actual trades pay the same ${params.feeRate}%.`);
+        const cell = (stats, format, value) => {
+            const sign = value ? Math.sign(value(stats)) : 0;
+            return `<td class="${sign > 0 ? 'positive' : sign < 0 ? 'negative' : ''}">${format(stats)}</td>`;
+        };
+        
+        this.summary.innerHTML = `
+            <table class="trade-table sim-table">
+                <thead><tr><th></th><th>Simulated</th><th>Actual</th></tr></thead>
+                <tbody>
+                    ${rows.map(([label, format, value]) => `
+                        <tr><th scope="row">${escapeHtml(label)}</th>${cell(simulated, format, value)}${cell(actual, format, value)}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="sim-note">${escapeHtml(note)}</p>
+        `;
+    }
+}
+
+// ============================================
+// Bot Health
+// ============================================
+
+/**
+ * Is the bot alive? A fetch that succeeds only proves the backend answers;
+ * a dead bot behind it keeps serving the same old day. So look at the age
+ * of the newest tick and, when the backend sends one, the heartbeat:
+ *
+ *   ok     tick (and heartbeat) within CONFIG.staleAfterMs
+ *   stale  no recent tick, but the heartbeat is fresh (bot up, feed quiet)
+ *   down   no recent tick and no fresh heartbeat
+ *
+ * `downFor` is the time since the last sign of life of either kind.
+ */
+function botHealth(lastTickAt, status, now = Date.now()) {
+    const heartbeat = status && status.heartbeat;
+    const tickAge = lastTickAt ? now - lastTickAt : null;
+    const heartbeatAge = heartbeat ? now - heartbeat : null;
+    const tickFresh = tickAge !== null && tickAge <= CONFIG.staleAfterMs;
+    const heartbeatFresh = heartbeatAge !== null && heartbeatAge <= CONFIG.staleAfterMs;
+    
+    let state = 'ok';
+    if (!tickFresh) state = heartbeatFresh ? 'stale' : 'down';
+    else if (heartbeatAge !== null && !heartbeatFresh) state = 'stale';
+    
+    const lastSign = Math.max(lastTickAt || 0, heartbeat || 0);
+    return {
+        state,
+        tickAge,
+        heartbeatAge,
+        downFor: state === 'down' && lastSign ? now - lastSign : null
+    };
+}
+
+/**
+ * Status panel for the selected bot: liveness from botHealth plus what the
+ * backend reports about the account (balances, open orders, last error,
+ * version). Ages are re-rendered every second.
+ */
+class HealthPanel {
+    constructor(carousel) {
+        this.carousel = carousel;
+        
+        // DOM elements
+        this.badge = document.getElementById('health-badge');
+        this.grid = document.getElementById('health-grid');
+        
+        carousel.chart.on('data', () => this.render());
+        setInterval(() => this.render(), 1000);
+        this.render();
+    }
+    
+    render() {
+        const entry = this.carousel.liveEntry();
+        const status = this.carousel.botStatus;
+        const lastTick = entry && entry.prices[entry.prices.length - 1];
+        
+        if (!lastTick && !status) {
+            this.badge.className = 'health-badge hidden';
+            this.grid.innerHTML = '<div class="empty">Waiting for data...</div>';
+            return;
+        }
+        
+        const health = botHealth(lastTick ? lastTick.timestamp : null, status);
+        const labels = { ok: 'Running', stale: 'Stale', down: 'Down' };
+        this.badge.className = `health-badge ${health.state}`;
+        this.badge.textContent = health.downFor !== null
+            ? `Down for ${formatDuration(health.downFor)}`
+            : labels[health.state];
+        
+        const ago = (age) => age === null ? '--' : `${formatDuration(age)} ago`;
+        const rows = [
+            ['Last tick', ago(health.tickAge), health.tickAge === null || health.tickAge > CONFIG.staleAfterMs],
+            ['Heartbeat', status && status.heartbeat ? ago(health.heartbeatAge) : 'Not reported',
+                health.heartbeatAge !== null && health.heartbeatAge > CONFIG.staleAfterMs]
+        ];
+        
+        if (status) {
+            for (const { asset, amount } of status.balances) {
+                rows.push([`${asset} balance`, amount.toLocaleString('en-US', { maximumFractionDigits: 6 })]);
+            }
+            rows.push(['Open orders', status.openOrders === null ? '--' : String(status.openOrders)]);
+            rows.push(['Last error', status.lastError
+                ? status.lastError.message + (status.lastError.timestamp ? ` (${ago(Date.now() - status.lastError.timestamp)})` : '')
+                : 'None', !!status.lastError]);
+            rows.push(['Version', status.version || '--']);
+        }
+        
+        this.grid.innerHTML = rows.map(([label, value, warn]) => `
+            <div class="health-item${warn ? ' warn' : ''}">
+                <dt>${escapeHtml(label)}</dt>
+                <dd title="${escapeHtml(value)}">${escapeHtml(value)}</dd>
+            </div>
+        `).join('');
+    }
+}
+
+// ============================================
+// Indicator Controls
+// ============================================
+
+/**
+ * Legend toggles for the chart's indicators plus a toolbar menu for their
+ * parameters and colours.
+ */
+class IndicatorControls {
+    constructor(chart) {
+        this.chart = chart;
+        this.legend = document.getElementById('indicator-legend');
+        this.settings = document.getElementById('indicator-settings');
+        this.signature = null;
+        
+        this.setupEventListeners();
+        for (const type of Object.keys(INDICATOR_TYPES)) {
+            chart.addIndicator(type, { type });
+        }
+        
+        chart.on('indicatorchange', () => this.render());
+        chart.on('data', () => this.render());
+    }
+    
+    setupEventListeners() {
+        this.legend.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-indicator]');
+            if (!toggle || toggle.disabled) return;
+            
+            const indicator = this.chart.indicators.find(i => i.id === toggle.dataset.indicator);
+            this.chart.updateIndicator(indicator.id, { enabled: !indicator.enabled });
+        });
+        
+        this.settings.addEventListener('change', (e) => {
+            const input = e.target;
+            const id = input.dataset.indicator;
+            if (!id) return;
+            
+            if (input.dataset.param) {
+                const value = Number(input.value);
+                if (!(value >= Number(input.min))) return;
+                this.chart.updateIndicator(id, { params: { [input.dataset.param]: value } });
+            } else {
+                this.chart.updateIndicator(id, { color: input.value });
+            }
+        });
+    }
+    
+    render() {
+        const indicators = this.chart.indicators;
+        const signature = indicators.map(i => [i.id, i.enabled, i.color, indicatorLabel(i)].join()).join('|') + this.chart.hasVolume;
+        if (signature === this.signature) return;
+        this.signature = signature;
+        
+        this.legend.innerHTML = indicators.map(indicator => {
+            const type = INDICATOR_TYPES[indicator.type];
+            const unavailable = type.requiresVolume && !this.chart.hasVolume;
+            const title = unavailable ? 'Needs tick volume' : `Show / hide ${type.label}`;
+            return `<button class="legend-item indicator-toggle${indicator.enabled ? '' : ' off'}" data-indicator="${indicator.id}"` +
+                `${unavailable ? ' disabled' : ''} title="${title}">` +
+                `<span class="swatch" style="background: ${indicator.color}"></span>${escapeHtml(indicatorLabel(indicator))}</button>`;
+        }).join('');
+        
+        // Don't rebuild the form under the user's cursor
+        if (this.settings.contains(document.activeElement)) return;
+        
+        this.settings.innerHTML = indicators.map(indicator => {
+            const type = INDICATOR_TYPES[indicator.type];
+            const params = Object.entries(type.params).map(([key, spec]) =>
+                `<label>${spec.label} <input type="number" class="toolbar-input" data-indicator="${indicator.id}" data-param="${key}"` +
+                ` value="${indicator.params[key]}" min="${spec.min}" step="${spec.step || 1}"></label>`
+            ).join('');
+            return `<div class="indicator-row"><span class="indicator-name">${type.label}</span>${params}` +
+                `<input type="color" data-indicator="${indicator.id}" value="${indicator.color}" aria-label="${type.label} colour"></div>`;
+        }).join('');
+    }
+}
+
+// ============================================
+// Scale Controls
+// ============================================
+
+const SCALE_MODES = {
+    linear: 'Linear',
+    log: 'Log',
+    percent: '% from baseline'
+};
+
+/**
+ * Toolbar menu for the y-axis: mode, what the auto-range fits, or a locked
+ * min / max.
+ */
+class ScaleControls {
+    constructor(chart) {
+        this.chart = chart;
+        
+        this.menu = document.getElementById('scale-menu');
+        this.summary = this.menu.querySelector('summary');
+        this.modeSelect = document.getElementById('scale-mode');
+        this.fitTrades = document.getElementById('scale-fit-trades');
+        this.fitGrid = document.getElementById('scale-fit-grid');
+        this.lock = document.getElementById('scale-lock');
+        this.minInput = document.getElementById('scale-min');
+        this.maxInput = document.getElementById('scale-max');
+        
+        this.modeSelect.innerHTML = Object.entries(SCALE_MODES)
+            .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+            .join('');
+        
+        this.setupEventListeners();
+        chart.on('settingschange', () => this.render());
+        this.render();
+    }
+    
+    setupEventListeners() {
+        this.modeSelect.addEventListener('change', () => {
+            const mode = this.modeSelect.value;
+            const manual = this.chart.scale.manual;
+            
+            // A locked range reaching zero or below has no log scale
+            if (mode === 'log' && manual && !(manual.min > 0)) {
+                this.chart.setScale({ mode, manual: null });
+                showToast('Log scale needs a positive minimum – unlocked the range.', 'error');
+                return;
+            }
+            this.chart.setScale({ mode });
+        });
+        
+        this.fitTrades.addEventListener('change', () => this.chart.setScale({ fitTrades: this.fitTrades.checked }));
+        this.fitGrid.addEventListener('change', () => this.chart.setScale({ fitGrid: this.fitGrid.checked }));
+        
+        this.lock.addEventListener('change', () => {
+            if (!this.lock.checked) {
+                this.chart.setScale({ manual: null });
+                return;
+            }
+            // Lock what's on screen unless the user typed something else
+            this.applyRange(Number(this.minInput.value), Number(this.maxInput.value));
+        });
+        
+        for (const input of [this.minInput, this.maxInput]) {
+            input.addEventListener('change', () => {
+                this.lock.checked = true;
+                this.applyRange(Number(this.minInput.value), Number(this.maxInput.value));
+            });
+        }
+        
+        // Show the current range when opened
+        this.menu.addEventListener('toggle', () => {
+            if (this.menu.open) this.render();
+        });
+    }
+    
+    applyRange(min, max) {
+        if (!(min < max) || (this.chart.scale.mode === 'log' && !(min > 0))) {
+            showToast(this.chart.scale.mode === 'log'
+                ? 'Enter a positive minimum below the maximum.'
+                : 'Enter a minimum below the maximum.', 'error');
+            this.render();
+            return;
+        }
+        this.chart.setScale({ manual: { min, max } });
+    }
+    
+    render() {
+        const { mode, fitTrades, fitGrid, manual } = this.chart.scale;
+        this.modeSelect.value = mode;
+        this.fitTrades.checked = fitTrades;
+        this.fitGrid.checked = fitGrid;
+        this.lock.checked = Boolean(manual);
+        this.summary.textContent = `Y: ${SCALE_MODES[mode]}${manual ? ' 🔒' : ''}`;
+        
+        // Don't overwrite what the user is typing
+        if (this.menu.contains(document.activeElement) && document.activeElement.type === 'number') return;
+        
+        const min = manual ? manual.min : this.chart.minPrice;
+        const max = manual ? manual.max : this.chart.maxPrice;
+        const decimals = Math.max(market.priceDecimals, 2);
+        this.minInput.value = isFinite(min) ? Number(min.toFixed(decimals)) : '';
+        this.maxInput.value = isFinite(max) ? Number(max.toFixed(decimals)) : '';
+    }
+}
+
+// ============================================
+// Day Comparison
+// ============================================
+
+const COMPARE_COLORS = ['#a5d6ff', '#e3b341', '#bc8cff', '#ffa198', '#7ee787'];
+
+// Stats tiles that get a "vs <day>" line
+const COMPARE_TILES = ['current-price', 'high-price', 'low-price', 'buy-count', 'sell-count'];
+
+/**
+ * Toolbar menu for drawing other days over a single-day view, aligned by
+ * time of day, plus their legend entries and stats deltas against the
+ * first day picked.
+ */
+class CompareControls {
+    constructor(chart, carousel) {
+        this.chart = chart;
+        this.carousel = carousel;
+        this.picked = new Map();  // day -> colour, in the order picked
+        this.botId = null;
+        this.key = null;          // What the drawn comparisons were loaded for
+        this.generation = 0;      // Drops loads overtaken by newer ones
+        this.signature = null;
+        
+        this.summary = document.querySelector('#compare-menu summary');
+        this.modeSelect = document.getElementById('compare-mode');
+        this.tradesToggle = document.getElementById('compare-trades');
+        this.dayList = document.getElementById('compare-days');
+        this.legend = document.getElementById('compare-legend');
+        
+        this.setupEventListeners();
+        chart.on('data', () => this.sync());
+    }
+    
+    setupEventListeners() {
+        this.modeSelect.addEventListener('change', () => {
+            this.chart.setCompareOptions({ mode: this.modeSelect.value });
+        });
+        
+        this.tradesToggle.addEventListener('change', () => {
+            this.chart.setCompareOptions({ showTrades: this.tradesToggle.checked });
+        });
+        
+        this.dayList.addEventListener('change', (e) => {
+            const day = e.target.dataset.day;
+            if (!day) return;
+            
+            if (e.target.checked) {
+                const used = new Set(this.picked.values());
+                this.picked.set(day, COMPARE_COLORS.find(color => !used.has(color)));
+            } else {
+                this.picked.delete(day);
+            }
+            this.load();
+        });
+    }
+    
+    // The day being compared against, or null for ranges
+    primaryDay() {
+        const days = this.carousel.selectedDays();
+        return days.length === 1 ? days[0] : null;
+    }
+    
+    sync() {
+        const bot = this.carousel.bot;
+        if (bot && bot.id !== this.botId) {
+            this.botId = bot.id;
+            this.picked.clear();
+        }
+        
+        const key = [this.botId, this.primaryDay(), timeSettings.dayStartHour].join('|');
+        if (key !== this.key) {
+            this.load();
+        } else {
+            this.renderDeltas();
+        }
+        this.render();
+    }
+    
+    async load() {
+        const generation = ++this.generation;
+        const primary = this.primaryDay();
+        this.key = [this.botId, primary, timeSettings.dayStartHour].join('|');
+        
+        const days = primary
+            ? [...this.picked.keys()].filter(day => day !== primary && this.carousel.availableDays.includes(day))
+            : [];
+        const entries = await Promise.all(days.map(day => this.carousel.loadDay(day)));
+        if (generation !== this.generation) return;
+        
+        const comparisons = [];
+        days.forEach((day, i) => {
+            if (!entries[i] || entries[i].prices.length === 0) return;
+            comparisons.push({
+                id: day,
+                label: formatDay(day, { month: 'short', day: 'numeric' }),
+                color: this.picked.get(day),
+                offset: tradingDayStart(primary) - tradingDayStart(day),
+                prices: entries[i].prices,
+                trades: entries[i].trades
+            });
+        });
+        
+        this.chart.setComparisons(comparisons);
+        this.renderLegend();
+        this.renderDeltas();
+        this.render();
+    }
+    
+    render() {
+        const primary = this.primaryDay();
+        const full = this.picked.size >= COMPARE_COLORS.length;
+        const signature = [primary, this.carousel.availableDays.join(), [...this.picked.keys()].join()].join('|');
+        
+        this.summary.textContent = this.chart.comparisons.length > 0 ? `Compare (${this.chart.comparisons.length})` : 'Compare';
+        if (signature === this.signature) return;
+        this.signature = signature;
+        
+        if (!primary) {
+            this.dayList.innerHTML = '<p class="compare-note">Pick a single day to compare it with others.</p>';
+            return;
+        }
+        
+        const days = this.carousel.availableDays.filter(day => day !== primary).reverse();
+        if (days.length === 0) {
+            this.dayList.innerHTML = '<p class="compare-note">No other days yet.</p>';
+            return;
+        }
+        
+        this.dayList.innerHTML = days.map(day => {
+            const color = this.picked.get(day);
+            const swatch = color ? `<span class="swatch" style="background: ${color}"></span>` : '';
+            return `<label class="compare-day"><input type="checkbox" data-day="${day}"${color ? ' checked' : (full ? ' disabled' : '')}>` +
+                `${formatDay(day, { weekday: 'short', month: 'short', day: 'numeric' })}${swatch}</label>`;
+        }).join('');
+    }
+    
+    renderLegend() {
+        this.legend.innerHTML = this.chart.comparisons.map(comparison =>
+            `<span class="legend-item"><span class="swatch" style="background: ${comparison.color}"></span>` +
+            `${escapeHtml(comparison.label)}</span>`
+        ).join('');
+    }
+    
+    /**
+     * Primary day vs the first compared day, both cut at the same time of
+     * day as the primary's latest tick.
+     */
+    renderDeltas() {
+        const comparison = this.chart.comparisons[0];
+        const prices = this.chart.priceData;
+        const cutoff = comparison && prices.length > 0 ? prices[prices.length - 1].timestamp - comparison.offset : null;
+        const earlier = cutoff === null ? [] : comparison.prices.slice(0, this.chart.indexAtTime(cutoff + 1, comparison.prices));
+        
+        for (const id of COMPARE_TILES) {
+            document.getElementById(`${id}-delta`).classList.toggle('hidden', earlier.length === 0);
+        }
+        if (earlier.length === 0) return;
+        
+        const stats = (points, trades) => ({
+            'current-price': points[points.length - 1].price,
+            'high-price': points.reduce((high, p) => Math.max(high, p.price), -Infinity),
+            'low-price': points.reduce((low, p) => Math.min(low, p.price), Infinity),
+            'buy-count': trades.filter(t => t.side === 'buy').length,
+            'sell-count': trades.filter(t => t.side === 'sell').length
+        });
+        const now = stats(prices, this.chart.trades);
+        const then = stats(earlier, comparison.trades.filter(t => t.timestamp <= cutoff));
+        
+        for (const id of COMPARE_TILES) {
+            const diff = now[id] - then[id];
+            const el = document.getElementById(`${id}-delta`);
+            if (id.endsWith('count')) {
+                el.textContent = `${diff > 0 ? '+' : ''}${diff} vs ${comparison.label}`;
+            } else {
+                const percent = then[id] > 0 ? ` (${formatPercent(diff / then[id] * 100)})` : '';
+                el.textContent = `${formatQuote(diff, { signed: true })}${percent} vs ${comparison.label}`;
+            }
+            el.title = `Compared with ${comparison.label} up to the same time of day`;
+            el.classList.toggle('positive', diff > 0);
+            el.classList.toggle('negative', diff < 0);
+        }
+    }
+}
+
+// ============================================
+// Replay
+// ============================================
+
+/**
+ * Plays a single day back from the data loadDay() returns: the chart,
+ * stats, P&L and blotter only see ticks and fills up to the playhead, as
+ * if it were live. The live day replays up to the moment replay started.
+ */
+class ReplayControls {
+    constructor(chart, carousel) {
+        this.chart = chart;
+        this.carousel = carousel;
+        this.day = null;          // Day being replayed, null when off
+        this.prices = [];
+        this.trades = [];
+        this.grid = [];
+        this.time = 0;            // Playhead
+        this.timer = null;        // Set while playing
+        this.lastFrame = 0;
+        this.shown = null;        // Tick / trade counts on the chart
+        
+        this.toggle = document.getElementById('replay-toggle');
+        this.bar = document.getElementById('replay-bar');
+        this.playBtn = document.getElementById('replay-play');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.scrubber = document.getElementById('replay-scrubber');
+        this.timeLabel = document.getElementById('replay-time');
+        this.nextTradeBtn = document.getElementById('replay-next-trade');
+        
+        this.setupEventListeners();
+        chart.on('data', () => this.renderToggle());
+    }
+    
+    setupEventListeners() {
+        this.toggle.addEventListener('click', () => {
+            if (this.day) {
+                this.exit();
+            } else {
+                this.begin();
+            }
+        });
+        
+        this.playBtn.addEventListener('click', () => {
+            if (this.timer) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+        
+        this.scrubber.addEventListener('input', () => {
+            const start = this.prices[0].timestamp;
+            const end = this.prices[this.prices.length - 1].timestamp;
+            this.seek(start + (end - start) * this.scrubber.value / this.scrubber.max);
+        });
+        
+        this.nextTradeBtn.addEventListener('click', () => {
+            const trade = this.trades[this.chart.indexAtTime(this.time + 1, this.trades)];
+            if (trade) this.seek(trade.timestamp);
+        });
+        
+        document.getElementById('replay-exit').addEventListener('click', () => this.exit());
+    }
+    
+    async begin() {
+        const days = this.carousel.selectedDays();
+        if (days.length !== 1) return;
+        
+        const bot = this.carousel.bot;
+        const day = days[0];
+        const entry = await this.carousel.loadDay(day);
+        if (this.carousel.bot !== bot || this.carousel.selectedDays().join() !== day) return;
+        
+        if (!entry || entry.prices.length === 0) {
+            showToast(`Nothing to replay for ${formatDay(day, { month: 'short', day: 'numeric' })}.`, 'error');
+            return;
+        }
+        
+        this.day = day;
+        this.prices = entry.prices;
+        this.trades = entry.trades;
+        this.grid = entry.grid;
+        this.shown = null;
+        this.carousel.replay = this;
+        
+        this.chart.resetView(false);
+        this.bar.classList.remove('hidden');
+        this.renderToggle();
+        this.carousel.renderDateStatus();
+        this.seek(this.prices[0].timestamp);
+        this.play();
+    }
+    
+    play() {
+        if (this.timer) return;
+        
+        // Starting from the end plays it again
+        if (this.time >= this.prices[this.prices.length - 1].timestamp) {
+            this.seek(this.prices[0].timestamp);
+        }
+        
+        this.lastFrame = Date.now();
+        this.timer = setInterval(() => this.advance(), CONFIG.replayFrameMs);
+        this.playBtn.textContent = '❚❚';
+        this.playBtn.title = 'Pause';
+    }
+    
+    pause() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.playBtn.textContent = '▶';
+        this.playBtn.title = 'Play';
+    }
+    
+    advance() {
+        const now = Date.now();
+        const end = this.prices[this.prices.length - 1].timestamp;
+        const time = this.time + (now - this.lastFrame) * Number(this.speedSelect.value);
+        this.lastFrame = now;
+        
+        this.seek(Math.min(time, end));
+        if (time >= end) this.pause();
+    }
+    
+    seek(time) {
+        this.time = time;
+        
+        const ticks = Math.max(1, this.chart.indexAtTime(time + 1, this.prices));
+        const fills = this.chart.indexAtTime(time + 1, this.trades);
+        if (!this.shown || this.shown.ticks !== ticks || this.shown.fills !== fills) {
+            this.shown = { ticks, fills };
+            this.carousel.updateChart(
+                this.prices.slice(0, ticks),
+                this.trades.slice(0, fills),
+                this.grid.filter(snapshot => snapshot.timestamp <= time),
+                this.day
+            );
+        }
+        
+        const start = this.prices[0].timestamp;
+        const end = this.prices[this.prices.length - 1].timestamp;
+        this.scrubber.value = end > start ? Math.round((time - start) / (end - start) * this.scrubber.max) : this.scrubber.max;
+        this.timeLabel.textContent = formatTime(time, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        this.nextTradeBtn.disabled = fills >= this.trades.length;
+    }
+    
+    /**
+     * Tear down without touching the chart - for when something else is
+     * about to draw over it (navigation, another bot).
+     */
+    stop() {
+        if (!this.day) return;
+        
+        this.pause();
+        this.day = null;
+        this.prices = [];
+        this.trades = [];
+        this.grid = [];
+        this.carousel.replay = null;
+        this.bar.classList.add('hidden');
+        this.renderToggle();
+    }
+    
+    // Back to the full day
+    exit() {
+        this.stop();
+        this.carousel.renderDateStatus();
+        this.carousel.renderSelection();
+    }
+    
+    renderToggle() {
+        const single = this.carousel.selectedDays().length === 1;
+        this.toggle.disabled = !single && !this.day;
+        this.toggle.title = single || this.day ? 'Play the day back tick by tick' : 'Replay works on a single day';
+        this.toggle.classList.toggle('active', Boolean(this.day));
+    }
+}
+
+// ============================================
+// Time Zone Controls
+// ============================================
+
+/**
+ * Toolbar menu for the display zone (local, UTC or any IANA name) and the
+ * hour the trading day starts. Saved in localStorage.
+ */
+class TimeZoneControls {
+    constructor(chart, carousel) {
+        this.chart = chart;
+        this.carousel = carousel;
+        
+        this.summary = document.querySelector('#time-menu summary');
+        this.zoneInput = document.getElementById('time-zone');
+        this.dayStartSelect = document.getElementById('day-start');
+        
+        const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+        document.getElementById('time-zones').innerHTML = ['Local', 'UTC', ...zones]
+            .map(zone => `<option value="${zone}">`).join('');
+        this.zoneInput.placeholder = `Local (${localZone})`;
+        
+        this.dayStartSelect.innerHTML = Array.from({ length: 24 }, (_, hour) =>
+            `<option value="${hour}">${String(hour).padStart(2, '0')}:00 ${CONFIG.dayTimeZone}</option>`
+        ).join('');
+        
+        this.setupEventListeners();
+        this.apply(this.load());
+    }
+    
+    setupEventListeners() {
+        this.zoneInput.addEventListener('change', () => {
+            const value = this.zoneInput.value.trim();
+            const timeZone = value === '' || value.toLowerCase() === 'local' ? 'local' : value;
+            
+            if (!isValidTimeZone(timeZone)) {
+                showToast(`Unknown time zone "${value}" – use UTC, Local or an IANA name like America/New_York.`, 'error');
+                this.render();
+                return;
+            }
+            this.apply({ timeZone });
+        });
+        
+        this.dayStartSelect.addEventListener('change', () => {
+            this.apply({ dayStartHour: Number(this.dayStartSelect.value) });
+        });
+    }
+    
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG.timeStorageKey)) || {};
+            return {
+                timeZone: isValidTimeZone(saved.timeZone) ? saved.timeZone : 'local',
+                dayStartHour: saved.dayStartHour >= 0 && saved.dayStartHour < 24 ? saved.dayStartHour : 0
+            };
+        } catch (error) {
+            return { ...timeSettings };
+        }
+    }
+    
+    apply(changes) {
+        const dayStartChanged = changes.dayStartHour !== undefined && changes.dayStartHour !== timeSettings.dayStartHour;
+        
+        this.chart.setTimeSettings(changes);
+        this.render();
+        
+        try {
+            localStorage.setItem(CONFIG.timeStorageKey, JSON.stringify(timeSettings));
+        } catch (error) {
+            // Private mode - the setting just won't stick
+        }
+        
+        // Day boundaries moved
+        if (dayStartChanged && this.carousel.availableDays.length > 0) {
+            this.carousel.renderSelection();
+        }
+    }
+    
+    render() {
+        const { timeZone, dayStartHour } = timeSettings;
+        this.zoneInput.value = timeZone === 'local' ? '' : timeZone;
+        this.dayStartSelect.value = dayStartHour;
+        this.summary.textContent = timeZone === 'local' ? 'Local time' : timeZone;
+    }
+}
+
+// ============================================
+// URL State
+// ============================================
+
+/**
+ * Mirror the selection and view settings in the query string so a link
+ * reopens the same chart:
+ *
+ *   ?bot=btc-usdc&day=2026-10-14&range=3D&view=1792058400-1792065600&type=candles&interval=5m&ind=sma,bollinger
+ *
+ * `bot` is the bot shown (absent = the first in the manifest), `day` the
+ * last day shown (absent = follow the live day), `range` a preset or the
+ * first day of a custom range, `view` the zoomed window in epoch seconds.
+ * Bot / day / range changes push history entries so back / forward step
+ * between them; zooming and settings only replace the current entry.
+ */
+class UrlState {
+    constructor(chart, carousel, bots = null) {
+        this.chart = chart;
+        this.carousel = carousel;
+        this.bots = bots;
+        this.restored = false;    // Applied the URL we were opened with
+        this.applying = false;    // Don't write back while restoring
+        this.place = null;        // bot + day + range of the current history entry
+        this.replaceTimer = null;
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        // The first data tells us which days exist
+        this.chart.on('data', () => {
+            if (!this.restored && this.carousel.availableDays.length > 0) {
+                this.restored = true;
+                this.apply(this.read());
+                return;
+            }
+            this.write();
+        });
+        this.chart.on('viewchange', () => this.write());
+        this.chart.on('settingschange', () => this.write());
+        this.chart.on('indicatorchange', () => this.write());
+        
+        window.addEventListener('popstate', () => this.apply(this.read()));
+    }
+    
+    read() {
+        const params = new URLSearchParams(location.search);
+        const view = (params.get('view') || '').split('-').map(Number);
+        
+        return {
+            bot: params.get('bot'),
+            day: params.get('day'),
+            range: params.get('range') || '1D',
+            view: view.length === 2 && view[0] < view[1] ? { start: view[0] * 1000, end: view[1] * 1000 } : null,
+            type: params.get('type'),
+            interval: params.get('interval'),
+            scale: params.get('scale'),
+            indicators: params.has('ind') ? params.get('ind').split(',') : []
+        };
+    }
+    
+    // Current state as a query string (without '?')
+    serialize() {
+        const carousel = this.carousel;
+        const days = carousel.selectedDays();
+        const params = new URLSearchParams();
+        
+        if (this.bots && this.bots.active && this.bots.active !== this.bots.bots[0]) {
+            params.set('bot', this.bots.active.id);
+        }
+        if (!carousel.isLive && days.length > 0) params.set('day', days[days.length - 1]);
+        if (carousel.rangePreset === 'custom' && days.length > 0) params.set('range', days[0]);
+        else if (carousel.rangePreset !== '1D') params.set('range', carousel.rangePreset);
+        
+        if (this.chart.isZoomed()) {
+            params.set('view', `${Math.round(this.chart.view.start / 1000)}-${Math.round(this.chart.view.end / 1000)}`);
+        }
+        if (this.chart.chartType !== 'area') params.set('type', this.chart.chartType);
+        if (this.chart.candleInterval !== 'auto') params.set('interval', this.chart.candleInterval);
+        if (this.chart.scale.mode !== 'linear') params.set('scale', this.chart.scale.mode);
+        
+        const enabled = this.chart.indicators.filter(i => i.enabled).map(i => i.id);
+        if (enabled.length > 0) params.set('ind', enabled.join(','));
+        
+        return params.toString().replace(/%2C/g, ',');
+    }
+    
+    write() {
+        if (!this.restored || this.applying) return;
+        
+        const query = this.serialize();
+        if ('?' + query === location.search || (query === '' && location.search === '')) return;
+        
+        const place = this.placeOf(query);
+        const url = location.pathname + (query ? '?' + query : '') + location.hash;
+        
+        if (place !== this.place) {
+            clearTimeout(this.replaceTimer);
+            this.replaceTimer = null;
+            this.place = place;
+            history.pushState(null, '', url);
+            return;
+        }
+        
+        // Zooming / live ticks: at most one replace a second (browsers throttle these)
+        if (!this.replaceTimer) {
+            this.replaceTimer = setTimeout(() => {
+                this.replaceTimer = null;
+                const latest = this.serialize();
+                history.replaceState(null, '', location.pathname + (latest ? '?' + latest : '') + location.hash);
+            }, 1000);
+        }
+    }
+    
+    // History entries differ by bot, day and range
+    placeOf(query) {
+        const params = new URLSearchParams(query);
+        return `${params.get('bot')}|${params.get('day')}|${params.get('range')}`;
+    }
+    
+    async apply(state) {
+        const carousel = this.carousel;
+        const chart = this.chart;
+        this.applying = true;
+        
+        try {
+            if (this.bots) {
+                const bot = this.bots.find(state.bot) || this.bots.bots[0];
+                if (state.bot && bot.id !== state.bot) {
+                    showToast(`Unknown bot "${state.bot}" – showing ${bot.name}.`, 'error');
+                }
+                await this.bots.select(bot.id);
+            }
+            const days = carousel.availableDays;
+            
+            // Settings first so the day renders once in the right mode
+            if (state.type && ['line', 'area', 'candles'].includes(state.type)) chart.setChartType(state.type);
+            else chart.setChartType('area');
+            chart.setCandleInterval(CANDLE_INTERVALS.some(i => i.label === state.interval) ? state.interval : 'auto');
+            chart.setScale({ mode: SCALE_MODES[state.scale] ? state.scale : 'linear' });
+            for (const indicator of chart.indicators) {
+                const enabled = state.indicators.includes(indicator.id);
+                if (indicator.enabled !== enabled) chart.updateIndicator(indicator.id, { enabled });
+            }
+            
+            let index = days.length - 1;
+            if (state.day && days.length > 0) {
+                index = days.indexOf(state.day);
+                if (index === -1) {
+                    showToast(`No data for ${state.day} – available days are ${days[0]} to ${days[days.length - 1]}. Showing the latest day.`, 'error');
+                    index = days.length - 1;
+                    state.view = null;
+                }
+            }
+            
+            if (CONFIG.rangePresets[state.range]) {
+                carousel.rangeSize = CONFIG.rangePresets[state.range];
+                carousel.rangePreset = state.range;
+            } else if (isDayString(state.range) && state.range <= days[index]) {
+                const first = days.findIndex(day => day >= state.range);
+                carousel.rangeSize = index - first + 1;
+                carousel.rangePreset = 'custom';
+            } else {
+                carousel.rangeSize = 1;
+                carousel.rangePreset = '1D';
+            }
+            
+            await carousel.navigateTo(index);
+            if (state.view) chart.setView(state.view.start, state.view.end);
+        } finally {
+            this.applying = false;
+        }
+        
+        // Normalise the URL (e.g. after an unknown day) without a new entry
+        const query = this.serialize();
+        this.place = this.placeOf(query);
+        history.replaceState(null, '', location.pathname + (query ? '?' + query : '') + location.hash);
+    }
+}
+
+// ============================================
+// Export
+// ============================================
+
+/**
+ * Just enough of CanvasRenderingContext2D to replay the chart's drawing
+ * routines as SVG elements, so exports come out as real vector paths.
+ */
+class SvgContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.parts = [];
+        this.defs = [];
+        this.nextId = 0;
+        this.stack = [];
+        this.path = '';
+        this.measureCtx = document.createElement('canvas').getContext('2d');
+        
+        // Drawing state (saved / restored)
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.lineJoin = 'miter';
+        this.lineCap = 'butt';
+        this.lineDash = [];
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.openGroups = 0;
+    }
+    
+    // State
+    save() {
+        const { fillStyle, strokeStyle, lineWidth, font, textAlign, lineJoin, lineCap, lineDash, offsetX, offsetY, openGroups } = this;
+        this.stack.push({ fillStyle, strokeStyle, lineWidth, font, textAlign, lineJoin, lineCap, lineDash, offsetX, offsetY, openGroups });
+        this.openGroups = 0;
+    }
+    
+    restore() {
+        for (; this.openGroups > 0; this.openGroups--) this.parts.push('</g>');
+        Object.assign(this, this.stack.pop());
+    }
+    
+    translate(x, y) {
+        this.offsetX += x;
+        this.offsetY += y;
+    }
+    
+    setLineDash(segments) {
+        this.lineDash = segments;
+    }
+    
+    // No-ops: the SVG has its own coordinate system and starts empty
+    scale() {}
+    setTransform() {}
+    clearRect() {}
+    
+    // Paths
+    beginPath() {
+        this.path = '';
+    }
+    
+    moveTo(x, y) {
+        this.path += `M${this.x(x)} ${this.y(y)}`;
+    }
+    
+    lineTo(x, y) {
+        this.path += `L${this.x(x)} ${this.y(y)}`;
+    }
+    
+    quadraticCurveTo(cx, cy, x, y) {
+        this.path += `Q${this.x(cx)} ${this.y(cy)} ${this.x(x)} ${this.y(y)}`;
+    }
+    
+    rect(x, y, width, height) {
+        this.path += `M${this.x(x)} ${this.y(y)}h${width}v${height}h${-width}Z`;
+    }
+    
+    arc(cx, cy, radius, startAngle, endAngle, counterclockwise = false) {
+        const point = (angle) => `${this.x(cx + radius * Math.cos(angle))} ${this.y(cy + radius * Math.sin(angle))}`;
+        const sweep = counterclockwise ? 0 : 1;
+        
+        this.path += (this.path ? 'L' : 'M') + point(startAngle);
+        
+        if (Math.abs(endAngle - startAngle) >= Math.PI * 2 - 1e-6) {
+            // Full circle: two half arcs
+            this.path += `A${radius} ${radius} 0 1 ${sweep} ${point(startAngle + Math.PI)}`;
+            this.path += `A${radius} ${radius} 0 1 ${sweep} ${point(startAngle)}`;
+            return;
+        }
+        
+        let delta = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        delta = ((delta % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+        this.path += `A${radius} ${radius} 0 ${delta > Math.PI ? 1 : 0} ${sweep} ${point(endAngle)}`;
+    }
+    
+    closePath() {
+        this.path += 'Z';
+    }
+    
+    // Painting
+    fill() {
+        this.parts.push(`<path d="${this.path}"${this.paint('fill', this.fillStyle)}/>`);
+    }
+    
+    stroke() {
+        this.parts.push(`<path d="${this.path}" fill="none"${this.strokeAttrs()}/>`);
+    }
+    
+    fillRect(x, y, width, height) {
+        this.parts.push(`<rect x="${this.x(x)}" y="${this.y(y)}" width="${width}" height="${height}"${this.paint('fill', this.fillStyle)}/>`);
+    }
+    
+    strokeRect(x, y, width, height) {
+        this.parts.push(`<rect x="${this.x(x)}" y="${this.y(y)}" width="${width}" height="${height}" fill="none"${this.strokeAttrs()}/>`);
+    }
+    
+    clip() {
+        const id = 'clip' + this.nextId++;
+        this.defs.push(`<clipPath id="${id}"><path d="${this.path}"/></clipPath>`);
+        this.parts.push(`<g clip-path="url(#${id})">`);
+        this.openGroups++;
+    }
+    
+    fillText(text, x, y) {
+        const match = /(bold\s+)?([\d.]+)px\s+(.*)/.exec(this.font) || [];
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        
+        this.parts.push(
+            `<text x="${this.x(x)}" y="${this.y(y)}" font-family="${escapeHtml(match[3] || 'sans-serif')}" ` +
+            `font-size="${match[2] || 10}"${match[1] ? ' font-weight="bold"' : ''} text-anchor="${anchor}"` +
+            `${this.paint('fill', this.fillStyle)}>${escapeHtml(String(text))}</text>`
+        );
+    }
+    
+    measureText(text) {
+        this.measureCtx.font = this.font;
+        return this.measureCtx.measureText(text);
+    }
+    
+    createLinearGradient(x0, y0, x1, y1) {
+        return { x0: this.x(x0), y0: this.y(y0), x1: this.x(x1), y1: this.y(y1), stops: [], addColorStop(offset, color) {
+            this.stops.push([offset, color]);
+        } };
+    }
+    
+    // Helpers
+    x(value) {
+        return +(value + this.offsetX).toFixed(2);
+    }
+    
+    y(value) {
+        return +(value + this.offsetY).toFixed(2);
+    }
+    
+    strokeAttrs() {
+        let attrs = this.paint('stroke', this.strokeStyle) + ` stroke-width="${this.lineWidth}"`;
+        if (this.lineDash.length > 0) attrs += ` stroke-dasharray="${this.lineDash.join(' ')}"`;
+        if (this.lineJoin !== 'miter') attrs += ` stroke-linejoin="${this.lineJoin}"`;
+        if (this.lineCap !== 'butt') attrs += ` stroke-linecap="${this.lineCap}"`;
+        return attrs;
+    }
+    
+    /**
+     * fill / stroke attributes for a canvas style: gradients become <defs>,
+     * 8-digit hex colours are split into colour + opacity.
+     */
+    paint(attr, style) {
+        if (typeof style === 'object') {
+            const id = 'grad' + this.nextId++;
+            const stops = style.stops.map(([offset, color]) => `<stop offset="${offset}" stop-color="${color}"/>`).join('');
+            this.defs.push(
+                `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${style.x0}" y1="${style.y0}" ` +
+                `x2="${style.x1}" y2="${style.y1}">${stops}</linearGradient>`
+            );
+            return ` ${attr}="url(#${id})"`;
+        }
+        
+        const hex = /^#([0-9a-f]{6})([0-9a-f]{2})$/i.exec(style);
+        if (hex) {
+            return ` ${attr}="#${hex[1]}" ${attr}-opacity="${(parseInt(hex[2], 16) / 255).toFixed(3)}"`;
+        }
+        return ` ${attr}="${style}"`;
+    }
+    
+    toString() {
+        const closing = '</g>'.repeat(this.openGroups + this.stack.reduce((sum, state) => sum + state.openGroups, 0));
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+            `viewBox="0 0 ${this.width} ${this.height}"><defs>${this.defs.join('')}</defs>${this.parts.join('')}${closing}</svg>`;
+    }
+}
+
+/**
+ * Export actions for the current day or range: ticks and trades as CSV or
+ * JSON, and the chart as a high-DPI PNG or an SVG with the date, stats and
+ * legend burned in.
+ */
+class ChartExporter {
+    constructor(chart, carousel) {
+        this.chart = chart;
+        this.carousel = carousel;
+        this.headerHeight = 64;
+        this.footerHeight = 32;
+        
+        this.menu = document.getElementById('export-menu');
+        this.menu.addEventListener('click', (e) => {
+            const format = e.target.dataset && e.target.dataset.export;
+            if (!format) return;
+            
+            this.menu.open = false;
+            this.export(format);
+        });
+    }
+    
+    export(format) {
+        if (this.chart.priceData.length === 0) return;
+        
+        switch (format) {
+            case 'ticks-csv':
+                this.exportTicksCsv();
+                break;
+            case 'trades-csv':
+                this.exportTradesCsv();
+                break;
+            case 'json':
+                this.exportJson();
+                break;
+            case 'png':
+                this.exportPng();
+                break;
+            case 'svg':
+                this.exportSvg();
+                break;
+        }
+    }
+    
+    fileName(suffix) {
+        const days = this.carousel.selectedDays();
+        const label = days.length > 1 ? `${days[0]}_${days[days.length - 1]}` : days[0];
+        return `trahn-${market.id}-${label}${suffix}`;
+    }
+    
+    // ----------------------------------------
+    // Data
+    // ----------------------------------------
+    
+    exportTicksCsv() {
+        const ticks = this.chart.priceData.map(p => [p.timestamp, new Date(p.timestamp).toISOString(), p.price]);
+        downloadBlob(toCsv(['timestamp', 'time', 'price'], ticks), this.fileName('-ticks.csv'), 'text/csv');
+    }
+    
+    exportTradesCsv() {
+        // Same columns as the trade table, including any extra backend fields
+        const keys = ['timestamp', 'side', 'price', 'usdValue', 'amount'];
+        for (const trade of this.chart.trades) {
+            for (const key of Object.keys(trade)) {
+                if (!keys.includes(key)) keys.push(key);
+            }
+        }
+        const trades = this.chart.trades.map(trade => keys.map(key => {
+            const value = key === 'amount' ? tradeAmount(trade) : trade[key];
+            return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        }));
+        keys.splice(1, 0, 'time');
+        trades.forEach((row, i) => row.splice(1, 0, new Date(this.chart.trades[i].timestamp).toISOString()));
+        downloadBlob(toCsv(keys, trades), this.fileName('-trades.csv'), 'text/csv');
+    }
+    
+    exportJson() {
+        const body = {
+            days: this.carousel.selectedDays(),
+            exportedAt: new Date().toISOString(),
+            prices: this.chart.priceData,
+            trades: this.chart.trades,
+            grid: this.chart.grid
+        };
+        downloadBlob(JSON.stringify(body, null, 2), this.fileName('.json'), 'application/json');
+    }
+    
+    // ----------------------------------------
+    // Images
+    // ----------------------------------------
+    
+    exportPng() {
+        const scale = Math.max(2, window.devicePixelRatio || 1);
+        const { width, height } = this.chart;
+        const totalHeight = this.headerHeight + height + this.footerHeight;
+        
+        // Chart first on its own canvas - renderTo() clears what's under it
+        const chartCanvas = document.createElement('canvas');
+        chartCanvas.width = width * scale;
+        chartCanvas.height = height * scale;
+        const chartCtx = chartCanvas.getContext('2d');
+        chartCtx.scale(scale, scale);
+        this.chart.renderTo(chartCtx);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = totalHeight * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        this.drawFrame(ctx, width, totalHeight);
+        ctx.drawImage(chartCanvas, 0, this.headerHeight, width, height);
+        
+        canvas.toBlob(blob => downloadBlob(blob, this.fileName('.png'), 'image/png'), 'image/png');
+    }
+    
+    exportSvg() {
+        const { width, height } = this.chart;
+        const ctx = new SvgContext(width, this.headerHeight + height + this.footerHeight);
+        
+        this.drawFrame(ctx, width, ctx.height);
+        ctx.save();
+        ctx.translate(0, this.headerHeight);
+        this.chart.renderTo(ctx);
+        ctx.restore();
+        
+        downloadBlob(ctx.toString(), this.fileName('.svg'), 'image/svg+xml');
+    }
+    
+    /**
+     * Background, title, date, stats and legend around the chart - drawn with
+     * the canvas API so PNG and SVG share it.
+     */
+    drawFrame(ctx, width, totalHeight) {
+        const colors = this.chart.colors;
+        
+        ctx.fillStyle = '#161b22';
+        ctx.fillRect(0, 0, width, totalHeight);
+        
+        // Title and date
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#e6edf3';
+        ctx.font = 'bold 16px Space Grotesk, sans-serif';
+        ctx.fillText('TRAHN GRID', 20, 26);
+        ctx.fillStyle = colors.text;
+        ctx.font = '11px JetBrains Mono, monospace';
+        ctx.fillText(document.querySelector('header .subtitle').textContent, 136, 26);
+        
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#e6edf3';
+        ctx.font = 'bold 14px Space Grotesk, sans-serif';
+        ctx.fillText(this.carousel.dateLabel.textContent, width - 20, 26);
+        
+        // Stats row, straight from the tiles
+        const stats = [...document.querySelectorAll('.stats .stat')].map(tile => {
+            const label = tile.querySelector('.stat-label').firstChild.textContent.trim();
+            return `${label} ${tile.querySelector('.stat-value').textContent}`;
+        });
+        ctx.textAlign = 'left';
+        ctx.fillStyle = colors.text;
+        ctx.font = '11px JetBrains Mono, monospace';
+        ctx.fillText(stats.join('   '), 20, 50);
+        
+        // Legend
+        let x = 20;
+        const y = totalHeight - this.footerHeight / 2;
+        for (const item of document.querySelectorAll('.legend .legend-item:not(.hidden):not(.off)')) {
+            const dot = item.querySelector('.dot');
+            const swatch = item.querySelector('.swatch');
+            if (dot) {
+                ctx.beginPath();
+                ctx.arc(x + 5, y - 4, 5, 0, Math.PI * 2);
+                ctx.fillStyle = dot.classList.contains('sell-dot') ? colors.sell : colors.buy;
+                ctx.fill();
+                x += 16;
+            } else if (swatch) {
+                ctx.fillStyle = swatch.style.background;
+                ctx.fillRect(x, y - 5, 12, 2);
+                x += 18;
+            }
+            
+            const text = item.textContent.replace(/\s+/g, ' ').trim();
+            ctx.fillStyle = colors.text;
+            ctx.fillText(text, x, y);
+            x += ctx.measureText(text).width + 24;
+        }
+    }
+}
+
+function toCsv(header, rows) {
+    const cell = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [header, ...rows].map(row => row.map(cell).join(',')).join('\n') + '\n';
+}
+
+function downloadBlob(content, fileName, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================
+// Persistent Day Cache
+// ============================================
+
+/**
+ * Past days never change, so they're kept in IndexedDB across reloads,
+ * keyed by bot and day. Once the total passes CONFIG.dayStoreMaxBytes the
+ * least recently read days are dropped. Sizes and access times live in a
+ * separate small store so eviction never loads the day data itself.
+ *
+ * Nothing here rejects: without IndexedDB (private windows, old browsers,
+ * blocked storage) reads miss and writes are skipped.
+ */
+class DayStore {
+    constructor(name = CONFIG.dayStoreName, maxBytes = CONFIG.dayStoreMaxBytes) {
+        this.maxBytes = maxBytes;
+        this.ready = this.open(name);
+    }
+    
+    open(name) {
+        return new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+            
+            let request;
+            try {
+                request = indexedDB.open(name, 1);
+            } catch (error) {
+                return resolve(null);
+            }
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('days');   // key -> day entry
+                request.result.createObjectStore('usage');  // key -> { size, accessedAt }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Day cache unavailable:', request.error && request.error.message);
+                resolve(null);
+            };
+        });
+    }
+    
+    /**
+     * Run `work(days, usage)` in one transaction over both stores.
+     * Resolves true once it commits, false if there's no database or it fails.
+     */
+    async transact(mode, work) {
+        const db = await this.ready;
+        if (!db) return false;
+        
+        return new Promise((resolve) => {
+            try {
+                const tx = db.transaction(['days', 'usage'], mode);
+                tx.oncomplete = () => resolve(true);
+                tx.onerror = tx.onabort = () => {
+                    console.warn('Day cache:', tx.error && tx.error.message);
+                    resolve(false);
+                };
+                work(tx.objectStore('days'), tx.objectStore('usage'));
+            } catch (error) {
+                console.warn('Day cache:', error.message);
+                resolve(false);
+            }
+        });
+    }
+    
+    // Stored entry for a bot's day, or null
+    async get(botId, day) {
+        const key = `${botId}/${day}`;
+        let entry = null;
+        
+        await this.transact('readwrite', (days, usage) => {
+            days.get(key).onsuccess = (e) => {
+                entry = e.target.result || null;
+            };
+            usage.get(key).onsuccess = (e) => {
+                const record = e.target.result;
+                if (record) usage.put({ ...record, accessedAt: Date.now() }, key);
+            };
+        });
+        
+        return entry;
+    }
+    
+    async put(botId, day, entry) {
+        const key = `${botId}/${day}`;
+        const size = JSON.stringify(entry).length;
+        if (size > this.maxBytes) return;
+        
+        const stored = await this.transact('readwrite', (days, usage) => {
+            days.put(entry, key);
+            usage.put({ size, accessedAt: Date.now() }, key);
+        });
+        if (stored) await this.evict();
+    }
+    
+    // Drop least recently read days until the total fits
+    async evict() {
+        const records = [];
+        await this.transact('readonly', (days, usage) => {
+            usage.openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                records.push({ key: cursor.key, ...cursor.value });
+                cursor.continue();
+            };
+        });
+        
+        let total = records.reduce((sum, record) => sum + record.size, 0);
+        if (total <= this.maxBytes) return;
+        
+        records.sort((a, b) => a.accessedAt - b.accessedAt);
+        const doomed = [];
+        for (const record of records) {
+            if (total <= this.maxBytes) break;
+            doomed.push(record.key);
+            total -= record.size;
+        }
+        
+        await this.transact('readwrite', (days, usage) => {
+            for (const key of doomed) {
+                days.delete(key);
+                usage.delete(key);
+            }
+        });
+    }
+}
+
+// ============================================
+// Bots
+// ============================================
+
+/**
+ * One manifest entry -> { id, name, pair, base, quote, dataPath, streamUrl,
+ * wsUrl, priceDecimals }, or null if it can't be used. base / quote may be
+ * given through `pair` alone ('SOL/ETH').
+ */
+function normalizeBot(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.dataPath !== 'string') return null;
+    
+    const [pairBase, pairQuote] = typeof raw.pair === 'string' ? raw.pair.split('/') : [];
+    const base = raw.base || pairBase;
+    const quote = raw.quote || pairQuote;
+    if (!base || !quote) return null;
+    
+    return {
+        id: String(raw.id || `${base}-${quote}`.toLowerCase()),
+        name: raw.name || `${base} Grid Trader`,
+        pair: `${base}/${quote}`,
+        base,
+        quote,
+        dataPath: raw.dataPath.endsWith('/') ? raw.dataPath : raw.dataPath + '/',
+        streamUrl: raw.streamUrl || null,
+        wsUrl: raw.wsUrl || null,
+        priceDecimals: Number.isInteger(raw.priceDecimals) ? raw.priceDecimals : null,
+        explorerTxUrl: typeof raw.explorerTxUrl === 'string' ? raw.explorerTxUrl : null
+    };
+}
+
+/**
+ * Loads the bot manifest and switches the page between bots from the
+ * header selector. The manifest is a list (or { bots: [...] }) of
+ *
+ *   { id, name, pair: 'ETH/USDC', base, quote, dataPath: './data/eth-usdc/', streamUrl, wsUrl, explorerTxUrl }
+ *
+ * Without a manifest the page shows CONFIG.defaultBot on the global
+ * stream / WebSocket endpoints, as before there were several bots.
+ * Emits 'load' once the list is known and 'change' with each new bot.
+ */
+class BotSelector {
+    constructor(carousel, alerts = null) {
+        this.carousel = carousel;
+        this.alerts = alerts;
+        this.bots = [];
+        this.active = null;
+        this.listeners = {};
+        
+        // DOM elements
+        this.picker = document.getElementById('bot-select');
+        this.subtitle = document.querySelector('header .subtitle');
+        this.buyLegend = document.getElementById('buy-legend-text');
+        this.sellLegend = document.getElementById('sell-legend-text');
+        
+        this.picker.addEventListener('change', () => this.select(this.picker.value));
+    }
+    
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+    
+    emit(event, ...args) {
+        for (const handler of this.listeners[event] || []) {
+            handler(...args);
+        }
+    }
+    
+    async load() {
+        let bots = [];
+        try {
+            const response = await fetch(CONFIG.botsUrl + '?t=' + Date.now());
+            if (response.ok) {
+                const data = await response.json();
+                const list = Array.isArray(data) ? data : data && data.bots;
+                const seen = new Set();
+                bots = (Array.isArray(list) ? list : []).map(normalizeBot).filter(bot => {
+                    if (!bot || seen.has(bot.id)) return false;
+                    seen.add(bot.id);
+                    return true;
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load bot manifest:', error.message);
+        }
         
-        const tooltipRect = this.tooltip.getBoundingClientRect();
-        if (tooltipX + tooltipRect.width > this.width) {
-            tooltipX = mouseX - rect.left - tooltipRect.width - 15;
+        if (bots.length === 0) {
+            bots = [normalizeBot({ streamUrl: CONFIG.streamUrl, wsUrl: CONFIG.wsUrl, ...CONFIG.defaultBot })];
         }
         
-        this.tooltip.style.left = tooltipX + 'px';
-        this.tooltip.style.top = tooltipY + 'px';
+        this.bots = bots;
+        this.picker.innerHTML = bots
+            .map(bot => `<option value="${escapeHtml(bot.id)}">${escapeHtml(bot.name)} · ${escapeHtml(bot.pair)}</option>`)
+            .join('');
+        this.picker.classList.toggle('hidden', bots.length < 2);
+        
+        this.emit('load', bots);
+        return bots;
     }
     
-    hideTooltip() {
-        this.tooltip.classList.remove('visible');
+    find(id) {
+        return this.bots.find(bot => bot.id === id) || null;
     }
     
-    calculateNiceStep(range, targetSteps) {
-        const roughStep = range / targetSteps;
-        const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
-        const normalized = roughStep / magnitude;
+    // Show bot `id` (the first bot if unknown) and resolve once its live day is in
+    async select(id) {
+        const bot = this.find(id) || this.bots[0];
+        if (!bot || bot === this.active) return;
         
-        let niceStep;
-        if (normalized <= 1.5) niceStep = 1;
-        else if (normalized <= 3) niceStep = 2;
-        else if (normalized <= 7) niceStep = 5;
-        else niceStep = 10;
+        this.active = bot;
+        Object.assign(market, {
+            id: bot.id,
+            name: bot.name,
+            pair: bot.pair,
+            base: bot.base,
+            quote: bot.quote,
+            priceDecimals: bot.priceDecimals
+        });
         
-        return niceStep * magnitude;
+        this.picker.value = bot.id;
+        this.subtitle.textContent = bot.name;
+        this.buyLegend.textContent = `Buy (${bot.quote} → ${bot.base})`;
+        this.sellLegend.textContent = `Sell (${bot.base} → ${bot.quote})`;
+        document.title = this.bots.length > 1 ? `${bot.pair} · TRAHN Grid Trader` : 'TRAHN Grid Trader';
+        
+        if (this.alerts) this.alerts.setBot(bot);
+        this.emit('change', bot);
+        
+        await this.carousel.setBot(bot);
+    }
+}
+
+/**
+ * One card per bot with its latest price, move since the day's first tick
+ * and today's fills. The selected bot comes from the carousel's live day;
+ * the others are polled, which also lets their alerts fire in the
+ * background. Clicking a card selects that bot.
+ */
+class BotGrid {
+    constructor(bots, carousel, alerts = null) {
+        this.bots = bots;
+        this.carousel = carousel;
+        this.alerts = alerts;
+        this.entries = {};   // bot id -> live day entry of a background bot
+        this.etags = {};
+        this.polling = false;   // Refresh loop running; stop() ends it
+        this.timer = null;
+        
+        this.section = document.getElementById('bot-grid');
+        this.section.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-bot]');
+            if (card) this.bots.select(card.dataset.bot);
+        });
+        
+        bots.on('load', (list) => {
+            this.section.classList.toggle('hidden', list.length < 2);
+            if (list.length < 2) this.stop();
+        });
+        bots.on('change', () => {
+            // The carousel still holds the outgoing bot; keep its card filled until the next poll
+            const previous = this.carousel.bot;
+            if (previous) this.entries[previous.id] = this.carousel.liveEntry();
+            
+            this.render();
+            
+            // Start polling once we know which bot the carousel covers
+            if (!this.polling && this.bots.bots.length > 1) {
+                this.polling = true;
+                this.refresh();
+            }
+        });
+        carousel.chart.on('data', () => this.render());
     }
     
-    formatPrice(price) {
-        if (price >= 10000) {
-            return '$' + (price / 1000).toFixed(1) + 'k';
+    // Poll every bot but the selected one, then schedule the next round
+    async refresh() {
+        await Promise.all(this.bots.bots
+            .filter(bot => bot !== this.bots.active)
+            .map(bot => this.fetchBot(bot)));
+        
+        if (!this.polling) return;
+        this.render();
+        this.timer = setTimeout(() => this.refresh(), CONFIG.botGridPollMs);
+    }
+    
+    stop() {
+        this.polling = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    
+    async fetchBot(bot) {
+        try {
+            const response = await fetch(bot.dataPath + 'current.json?t=' + Date.now(), {
+                headers: this.etags[bot.id] ? { 'If-None-Match': this.etags[bot.id] } : {}
+            });
+            if (response.status === 304 || !response.ok) return;
+            
+            const data = await response.json();
+            if (!data || !isDayString(data.currentDay)) return;
+            
+            const { prices, trades, quality } = validatePayload(data);
+            const last = prices[prices.length - 1];
+            const grid = data.grid ? normalizeGrid(data.grid, last ? last.timestamp : Date.now()) : [];
+            
+            this.etags[bot.id] = response.headers.get('ETag');
+            this.entries[bot.id] = { prices, trades, grid, quality };
+            if (this.alerts) this.alerts.check(this.entries[bot.id], bot);
+        } catch (error) {
+            console.warn(`Failed to fetch ${bot.name}:`, error.message);
         }
-        return '$' + price.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
     }
     
-    roundRect(x, y, width, height, radius) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(x + radius, y);
-        this.ctx.lineTo(x + width - radius, y);
-        this.ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-        this.ctx.lineTo(x + width, y + height - radius);
-        this.ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-        this.ctx.lineTo(x + radius, y + height);
-        this.ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-        this.ctx.lineTo(x, y + radius);
-        this.ctx.quadraticCurveTo(x, y, x + radius, y);
-        this.ctx.closePath();
+    render() {
+        if (this.bots.bots.length < 2) return;
+        
+        this.section.innerHTML = this.bots.bots.map(bot => {
+            const active = bot === this.bots.active;
+            const entry = !active ? this.entries[bot.id] : this.carousel.bot === bot ? this.carousel.liveEntry() : null;
+            const assets = active ? market : bot;
+            const prices = entry ? entry.prices : [];
+            
+            let price = '--';
+            let change = '';
+            let fills = '';
+            if (prices.length > 0) {
+                const first = prices[0].price;
+                const last = prices[prices.length - 1].price;
+                const move = (last - first) / first * 100;
+                const buys = entry.trades.filter(t => t.side === 'buy').length;
+                
+                adoptPricePrecision(assets, last);
+                price = formatQuote(last, { assets });
+                change = `<span class="bot-card-change ${move > 0 ? 'positive' : move < 0 ? 'negative' : ''}">` +
+                    `${move >= 0 ? '+' : ''}${move.toFixed(2)}%</span>`;
+                fills = `<span class="buy">${buys}</span> buys · <span class="sell">${entry.trades.length - buys}</span> sells`;
+            }
+            
+            return `
+                <button class="bot-card${active ? ' active' : ''}" data-bot="${escapeHtml(bot.id)}">
+                    <span class="bot-card-name">${escapeHtml(bot.name)}</span>
+                    <span class="bot-card-pair">${escapeHtml(bot.pair)}</span>
+                    <span class="bot-card-price">${price} ${change}</span>
+                    <span class="bot-card-fills">${fills || 'No data yet'}</span>
+                </button>
+            `;
+        }).join('');
     }
 }
 
@@ -462,131 +6386,465 @@ class TrahnChart {
 // Carousel Controller
 // ============================================
 class CarouselController {
-    constructor(chart) {
+    constructor(chart, alerts = null, store = null) {
         this.chart = chart;
+        this.alerts = alerts;
+        this.store = store;       // DayStore for past days, if any
+        this.bot = null;          // Set by setBot() before anything is fetched
+        this.transport = null;
         this.availableDays = [];
         this.currentDayIndex = 0;
         this.currentDay = null;
         this.isLive = false;
-        this.pollInterval = null;
+        this.liveEtag = null;
+        this.liveSource = 'network'; // 'stale' / 'offline' when the service worker answered from its cache
+        this.botStatus = null;    // validateStatus() of the latest status block
+        this.selectionCached = false; // Every selected day came from the DayStore
+        this.replay = null;       // ReplayControls while a day is being played back
+        this.resync = null;       // Snapshot fetch after a push for an unknown day; pushes wait for it
         this.dayCache = {};
+        this.rangeSize = 1;       // Days shown, ending at currentDayIndex
+        this.rangePreset = '1D';
+        this.pnlMethod = CONFIG.pnlMethod;
+        this.openingLots = {}; // day -> inventory carried in from earlier days
+        this.closingLots = {}; // day -> inventory left at the end of a past day
+        this.listeners = {};
         
         // DOM elements
         this.prevBtn = document.getElementById('prev-day');
         this.nextBtn = document.getElementById('next-day');
         this.dateLabel = document.getElementById('date-label');
+        this.qualityBadge = document.getElementById('quality-badge');
         this.dateStatus = document.getElementById('date-status');
         this.loading = document.getElementById('loading');
         this.dayIndicators = document.getElementById('day-indicators');
         this.connectionStatus = document.getElementById('connection-status');
+        this.gridLegend = document.getElementById('grid-legend');
+        this.pnlMethodSelect = document.getElementById('pnl-method');
+        this.rangePresets = document.getElementById('range-presets');
+        this.customRange = document.getElementById('custom-range');
+        this.rangeFrom = document.getElementById('range-from');
+        this.rangeTo = document.getElementById('range-to');
         
         this.setupEventListeners();
     }
     
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+    
+    emit(event, ...args) {
+        for (const handler of this.listeners[event] || []) {
+            handler(...args);
+        }
+    }
+    
     setupEventListeners() {
         this.prevBtn.addEventListener('click', () => this.navigatePrev());
         this.nextBtn.addEventListener('click', () => this.navigateNext());
         
-        // Keyboard navigation
+        this.pnlMethodSelect.value = this.pnlMethod;
+        this.pnlMethodSelect.addEventListener('change', () => {
+            this.pnlMethod = this.pnlMethodSelect.value;
+            this.openingLots = {};
+            this.closingLots = {};
+            this.updatePnl(this.selectedDays()[0], this.chart.priceData, this.chart.trades);
+        });
+        
+        // Range presets
+        this.rangePresets.addEventListener('click', (e) => {
+            const preset = e.target.dataset && e.target.dataset.range;
+            if (!preset) return;
+            
+            if (preset === 'custom') {
+                this.rangePreset = 'custom';
+                this.updateUI();
+            } else {
+                this.setRange(CONFIG.rangePresets[preset], preset);
+            }
+        });
+        
+        this.customRange.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applyCustomRange(this.rangeFrom.value, this.rangeTo.value);
+        });
+        
+        // Keyboard navigation (unless the focused chart took the key for its crosshair)
         document.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented) return;
             if (e.key === 'ArrowLeft') this.navigatePrev();
             if (e.key === 'ArrowRight') this.navigateNext();
         });
     }
     
-    async start() {
+    // Data starts flowing with the first setBot()
+    start() {
+        // Keep the "last message" age in the status pill ticking
+        setInterval(() => this.renderConnectionStatus(), 1000);
+    }
+    
+    /**
+     * Show another bot: drop everything cached for the previous one and
+     * connect to the new bot's data path and live feed.
+     */
+    async setBot(bot) {
+        if (this.transport) this.transport.stop();
+        if (this.replay) this.replay.stop();
+        
+        this.bot = bot;
+        this.availableDays = [];
+        this.currentDayIndex = 0;
+        this.currentDay = null;
+        this.isLive = false;
+        this.liveEtag = null;
+        this.liveSource = 'network';
+        this.botStatus = null;
+        this.resync = null;
+        this.dayCache = {};
+        this.openingLots = {};
+        this.closingLots = {};
+        
+        this.chart.resetView(false);
+        this.chart.setDayBoundaries([]);
+        this.chart.setData([], []);
+        // A locked range is in the old pair's prices
+        if (this.chart.scale.manual) this.chart.setScale({ manual: null });
+        this.renderPnl(null);
+        this.qualityBadge.classList.add('hidden');
+        this.dateLabel.textContent = 'Loading...';
+        
+        this.transport = new LiveTransport({
+            onMessage: (message) => this.handleLiveMessage(message),
+            // Only poll while viewing the live day (or before the first snapshot)
+            poll: () => this.isLive || this.availableDays.length === 0 ? this.fetchData() : Promise.resolve(null),
+            onStatus: () => this.renderConnectionStatus()
+        }, bot);
+        
         this.showLoading(true);
         await this.fetchData();
-        this.startPolling();
+        
+        // Another bot may have been picked while the snapshot loaded
+        if (this.bot === bot) this.transport.start();
     }
     
+    /**
+     * Fetch the live snapshot. Resolves to true on success; retries are left
+     * to the transport's backoff.
+     */
     async fetchData() {
+        const bot = this.bot;
         try {
-            const response = await fetch(CONFIG.dataUrl + '?t=' + Date.now());
+            const response = await fetch(this.liveDataUrl(), {
+                headers: this.liveEtag ? { 'If-None-Match': this.liveEtag } : {}
+            });
+            
+            // Nothing new since last time
+            if (response.status === 304) {
+                this.liveSource = 'network';
+                return true;
+            }
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
             }
             
             const data = await response.json();
+            
+            // Answer for a bot we've since switched away from
+            if (this.bot !== bot) return true;
+            
+            this.liveEtag = response.headers.get('ETag');
+            this.liveSource = response.headers.get('X-Trahn-Cache') || 'network';
             this.handleData(data);
-            this.setConnectionStatus('connected', 'Live');
+            
+            // Show the cached snapshot but keep retrying the backend
+            return this.liveSource !== 'offline';
             
         } catch (error) {
             console.warn('Failed to fetch data:', error.message);
-            this.setConnectionStatus('waiting', 'Waiting for backend...');
-            
-            // Retry after delay
-            setTimeout(() => this.fetchData(), CONFIG.retryIntervalMs);
+            return false;
+        }
+    }
+    
+    /**
+     * Snapshot URL, asking only for ticks after the newest one we hold.
+     * Backends that support it answer with `delta: true` and just the new
+     * records; others ignore `since` and send the full day.
+     */
+    liveDataUrl() {
+        let url = this.bot.dataPath + 'current.json?t=' + Date.now();
+        
+        const entry = this.dayCache[this.currentDay];
+        const last = entry && entry.prices[entry.prices.length - 1];
+        if (CONFIG.deltaFetch && last) {
+            url += '&since=' + last.timestamp;
+        }
+        
+        return url;
+    }
+    
+    handleLiveMessage(message) {
+        this.liveSource = 'network';
+        
+        switch (message.type) {
+            case 'snapshot':
+                this.handleData(message);
+                break;
+            case 'tick':
+            case 'ticks':
+                this.mergeIntoDay(message.day, { prices: message.prices || [message] });
+                break;
+            case 'trade':
+            case 'trades':
+                this.mergeIntoDay(message.day, { trades: message.trades || [message] });
+                break;
+            case 'grid':
+                this.mergeIntoDay(message.day, { grid: message.grid });
+                break;
+            case 'event':
+            case 'events':
+                // A single push names the bot's event type in `event`
+                this.mergeIntoDay(message.day, { events: message.events || [{ ...message, type: message.event }] });
+                break;
+            case 'status':
+                this.botStatus = validateStatus(message.status) || this.botStatus;
+                this.renderConnectionStatus();
+                break;
+            default:
+                console.warn('Unknown live message type:', message.type);
+        }
+    }
+    
+    /**
+     * Append new ticks / trades / grid snapshots to a cached day and redraw
+     * if it's on screen. An update for a day we don't know yet means the
+     * backend rolled over, so resync from the snapshot instead; handleData
+     * leaves a past day on screen.
+     */
+    mergeIntoDay(day = this.currentDay, delta) {
+        const entry = this.dayCache[day];
+        if (!entry || day !== this.currentDay) {
+            // One snapshot covers them all; drop pushes until it lands
+            if (!this.resync) {
+                const resync = this.fetchData().finally(() => {
+                    if (this.resync === resync) this.resync = null;
+                });
+                this.resync = resync;
+            }
+            return;
+        }
+        
+        if (delta.prices) {
+            // Ticks at or before the last one we have are overlap from the since= cursor
+            const last = entry.prices[entry.prices.length - 1];
+            const lastTime = last ? last.timestamp : -Infinity;
+            const prices = validatePrices(delta.prices, entry.quality);
+            entry.prices = entry.prices.concat(prices.filter(p => p.timestamp > lastTime));
+        }
+        if (delta.trades) {
+            // A resync snapshot may already hold trades that are also pushed
+            const known = new Set(entry.trades.map(tradeKey));
+            const trades = validateTrades(delta.trades, entry.quality).filter(t => !known.has(tradeKey(t)));
+            entry.trades = entry.trades.concat(trades);
+            sortByTime(entry.trades, entry.quality);
+        }
+        if (delta.grid) {
+            entry.grid = this.buildGridHistory({ grid: delta.grid, prices: entry.prices }, entry.grid);
+        }
+        if (delta.events) {
+            const known = new Set(entry.events.map(event => event.timestamp + event.type));
+            const events = validateEvents(delta.events).filter(event => !known.has(event.timestamp + event.type));
+            entry.events = entry.events.concat(events).sort((a, b) => a.timestamp - b.timestamp);
+        }
+        
+        if (this.alerts) this.alerts.check(entry);
+        
+        if (this.selectedDays().includes(day)) {
+            this.renderSelection();
         }
     }
     
     handleData(data) {
+        if (!data || typeof data !== 'object' || !isDayString(data.currentDay)) {
+            console.warn('Ignoring payload without a valid currentDay:', data && data.currentDay);
+            return;
+        }
+        
         this.showLoading(false);
         
+        if (data.status) this.botStatus = validateStatus(data.status) || this.botStatus;
+        
+        // Only follow the live day (e.g. across a rollover) if it was on screen
+        const wasLive = this.currentDayIndex >= this.availableDays.length - 1;
+        const viewedDay = this.availableDays[this.currentDayIndex];
+        
         // Update available days
-        if (data.availableDays && data.availableDays.length > 0) {
-            this.availableDays = data.availableDays;
+        const availableDays = Array.isArray(data.availableDays) ? data.availableDays.filter(isDayString).sort() : [];
+        if (availableDays.length > 0) {
+            this.availableDays = availableDays;
             this.currentDay = data.currentDay;
-            this.currentDayIndex = this.availableDays.indexOf(data.currentDay);
+            this.currentDayIndex = this.availableDays.indexOf(wasLive ? data.currentDay : viewedDay);
             if (this.currentDayIndex === -1) {
                 this.currentDayIndex = this.availableDays.length - 1;
             }
-        } else if (data.currentDay) {
+        } else {
             this.availableDays = [data.currentDay];
             this.currentDay = data.currentDay;
             this.currentDayIndex = 0;
         }
         
+        // Deltas extend the cached day rather than replacing it
+        if (data.delta && this.dayCache[data.currentDay]) {
+            this.mergeIntoDay(data.currentDay, data);
+            this.updateUI();
+            return;
+        }
+        
         // Cache current day data
+        const cached = this.dayCache[data.currentDay];
+        const { prices, trades, events, quality } = validatePayload(data);
+        const grid = this.buildGridHistory({ grid: data.grid, prices }, cached ? cached.grid : []);
         if (data.prices) {
-            this.dayCache[data.currentDay] = {
-                prices: data.prices,
-                trades: data.trades || []
-            };
+            this.dayCache[data.currentDay] = { prices, trades, grid, events, quality };
+            if (this.alerts) this.alerts.check(this.dayCache[data.currentDay]);
         }
         
         // If viewing the current (live) day, update chart
         if (this.currentDayIndex === this.availableDays.length - 1) {
             this.isLive = true;
-            this.updateChart(data.prices || [], data.trades || []);
+            this.renderSelection();
         }
         
         this.updateUI();
     }
     
-    updateChart(prices, trades) {
-        // Transform data format if needed
-        const priceData = prices.map(p => ({
-            timestamp: p.t || p.timestamp,
-            price: p.p || p.price
-        }));
+    /**
+     * Full histories from the backend replace what we have; a bare snapshot
+     * is treated as "the grid as of the latest tick" and appended.
+     */
+    buildGridHistory(data, previous = []) {
+        if (!data.grid) return previous;
         
-        const tradeData = trades.map(t => ({
-            timestamp: t.t || t.timestamp,
-            price: t.price,
-            side: t.side,
-            usdValue: t.usdValue
-        }));
+        const prices = data.prices || [];
+        const lastTick = prices[prices.length - 1];
+        const fallbackTime = lastTick ? lastTick.timestamp : Date.now();
+        const snapshots = normalizeGrid(data.grid, fallbackTime);
+        
+        if (Array.isArray(data.grid) || data.grid.snapshots || data.grid.history) {
+            return snapshots;
+        }
+        
+        // The first snapshot we see stands for the whole day so far
+        if (previous.length === 0 && snapshots.length > 0 && prices.length > 0) {
+            snapshots[0].timestamp = Math.min(snapshots[0].timestamp, prices[0].timestamp);
+        }
+        return mergeGridHistory(previous, snapshots);
+    }
+    
+    // prices / trades come validated from the day cache
+    updateChart(prices, trades, grid = [], day = null) {
+        if (prices.length > 0) adoptPricePrecision(market, prices[0].price);
+        this.chart.setData(prices, trades, grid);
+        this.updateStats(prices, trades);
+        this.gridLegend.classList.toggle('hidden', grid.length === 0);
+        
+        if (day) this.updatePnl(day, prices, trades);
+    }
+    
+    /**
+     * Recompute P&L for the displayed day, carrying inventory in from the
+     * days before it.
+     */
+    async updatePnl(day, priceData, tradeData) {
+        if (!day || priceData.length === 0) {
+            this.renderPnl(null);
+            return;
+        }
+        
+        const bot = this.bot;
+        const selection = this.selectedDays().join();
+        const openingLots = await this.getOpeningLots(day);
+        
+        // The user may have moved on while earlier days were loading
+        if (this.bot !== bot || this.selectedDays().join() !== selection) return;
+        
+        this.renderPnl(computeDayPnl(priceData, tradeData, this.pnlMethod, openingLots));
+    }
+    
+    async getOpeningLots(day) {
+        const index = this.availableDays.indexOf(day);
+        if (index <= 0) return [];
+        if (this.openingLots[day]) return this.openingLots[day];
+        
+        const bot = this.bot;
+        let lots = [];
+        for (let i = 0; i < index; i++) {
+            const previousDay = this.availableDays[i];
+            if (!this.closingLots[previousDay]) {
+                const entry = await this.loadDay(previousDay);
+                if (this.bot !== bot) return [];
+                const result = entry
+                    ? computeDayPnl(entry.prices, entry.trades, this.pnlMethod, lots)
+                    : { lots };
+                this.closingLots[previousDay] = result.lots;
+            }
+            lots = this.closingLots[previousDay];
+        }
+        
+        this.openingLots[day] = lots;
+        return lots;
+    }
+    
+    renderPnl(pnl) {
+        const setTile = (id, text, value = 0) => {
+            const el = document.getElementById(id);
+            el.textContent = text;
+            el.classList.toggle('positive', value > 0);
+            el.classList.toggle('negative', value < 0);
+        };
+        
+        if (!pnl) {
+            ['realized-pnl', 'unrealized-pnl', 'inventory', 'avg-cost', 'trade-costs', 'net-pnl'].forEach(id => setTile(id, '--'));
+            this.chart.removePane('pnl');
+            return;
+        }
+        
+        setTile('realized-pnl', formatQuote(pnl.realized, { signed: true }), pnl.realized);
+        setTile('unrealized-pnl', formatQuote(pnl.unrealized, { signed: true }), pnl.unrealized);
+        setTile('inventory', formatBase(pnl.inventory));
+        setTile('avg-cost', pnl.inventory > 0 ? formatQuote(pnl.avgCost) : '--');
+        
+        const costs = pnl.fees + pnl.gas;
+        const net = pnl.realized + pnl.unrealized - costs;
+        setTile('trade-costs', formatQuote(costs));
+        document.getElementById('trade-costs').title = `Fees ${formatQuote(pnl.fees)} · Gas ${formatQuote(pnl.gas)}`;
+        setTile('net-pnl', formatQuote(net, { signed: true }), net);
         
-        this.chart.setData(priceData, tradeData);
-        this.updateStats(priceData, tradeData);
+        this.chart.setPane('pnl', {
+            height: 90,
+            label: 'P&L',
+            format: (value) => formatQuote(value, { signed: true }),
+            series: [
+                { label: 'Realized', color: this.chart.colors.green, points: pnl.realizedCurve },
+                { label: 'Incl. unrealized', color: this.chart.colors.line, points: pnl.totalCurve }
+            ]
+        });
     }
     
     updateStats(prices, trades) {
         if (prices.length === 0) return;
         
-        const priceValues = prices.map(d => d.price);
-        const currentPrice = priceValues[priceValues.length - 1];
-        const highPrice = Math.max(...priceValues);
-        const lowPrice = Math.min(...priceValues);
+        const currentPrice = prices[prices.length - 1].price;
+        let highPrice = -Infinity;
+        let lowPrice = Infinity;
+        for (const point of prices) {
+            if (point.price > highPrice) highPrice = point.price;
+            if (point.price < lowPrice) lowPrice = point.price;
+        }
         
-        document.getElementById('current-price').textContent = 
-            '$' + currentPrice.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-        document.getElementById('high-price').textContent = 
-            '$' + highPrice.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-        document.getElementById('low-price').textContent = 
-            '$' + lowPrice.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        document.getElementById('current-price').textContent = formatQuote(currentPrice);
+        document.getElementById('high-price').textContent = formatQuote(highPrice);
+        document.getElementById('low-price').textContent = formatQuote(lowPrice);
         
         const buyCount = trades.filter(t => t.side === 'buy').length;
         const sellCount = trades.filter(t => t.side === 'sell').length;
@@ -595,59 +6853,123 @@ class CarouselController {
     }
     
     updateUI() {
+        const days = this.selectedDays();
+        const dateFormat = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+        
         // Update date label
-        const currentDay = this.availableDays[this.currentDayIndex];
-        if (currentDay) {
-            const date = new Date(currentDay + 'T12:00:00');
-            this.dateLabel.textContent = date.toLocaleDateString('en-US', {
-                weekday: 'short',
-                month: 'short',
-                day: 'numeric',
-                year: 'numeric'
-            });
+        if (days.length > 1) {
+            const rangeFormat = { month: 'short', day: 'numeric' };
+            const first = formatDay(days[0], rangeFormat);
+            const last = formatDay(days[days.length - 1], { ...rangeFormat, year: 'numeric' });
+            this.dateLabel.textContent = `${first} – ${last}`;
+        } else if (days.length === 1) {
+            this.dateLabel.textContent = formatDay(days[0], dateFormat);
         } else {
             this.dateLabel.textContent = 'No Data';
         }
         
         // Update status
         this.isLive = this.currentDayIndex === this.availableDays.length - 1;
-        if (this.isLive) {
-            this.dateStatus.textContent = 'LIVE';
-            this.dateStatus.className = 'date-status live';
-        } else {
-            this.dateStatus.textContent = '24h snapshot';
-            this.dateStatus.className = 'date-status';
-        }
+        this.renderDateStatus();
+        
+        document.getElementById('high-label').textContent = days.length > 1 ? 'Range High' : '24H High';
+        document.getElementById('low-label').textContent = days.length > 1 ? 'Range Low' : '24H Low';
         
         // Update navigation buttons
-        this.prevBtn.disabled = this.currentDayIndex <= 0;
+        this.prevBtn.disabled = this.currentDayIndex - days.length < 0;
         this.nextBtn.disabled = this.currentDayIndex >= this.availableDays.length - 1;
+        this.prevBtn.title = days.length > 1 ? `Previous ${days.length} days` : 'Previous Day';
+        this.nextBtn.title = days.length > 1 ? `Next ${days.length} days` : 'Next Day';
+        
+        // Update range controls
+        for (const button of this.rangePresets.querySelectorAll('[data-range]')) {
+            button.classList.toggle('active', button.dataset.range === this.rangePreset);
+        }
+        this.customRange.classList.toggle('hidden', this.rangePreset !== 'custom');
+        if (days.length > 0) {
+            for (const input of [this.rangeFrom, this.rangeTo]) {
+                input.min = this.availableDays[0];
+                input.max = this.availableDays[this.availableDays.length - 1];
+            }
+            this.rangeFrom.value = days[0];
+            this.rangeTo.value = days[days.length - 1];
+        }
         
         // Update day indicators
         this.updateDayIndicators();
     }
     
+    renderDateStatus() {
+        const days = this.selectedDays();
+        if (this.replay) {
+            this.dateStatus.textContent = 'REPLAY';
+            this.dateStatus.className = 'date-status replay';
+        } else if (this.isLive) {
+            this.dateStatus.textContent = 'LIVE';
+            this.dateStatus.className = 'date-status live';
+        } else {
+            this.dateStatus.textContent = (days.length > 1 ? `${days.length}-day range` : '24h snapshot') +
+                (this.selectionCached ? ' · cached' : '');
+            this.dateStatus.className = 'date-status';
+        }
+    }
+    
     updateDayIndicators() {
         this.dayIndicators.innerHTML = '';
+        const rangeStart = this.currentDayIndex - this.selectedDays().length + 1;
         
         for (let i = 0; i < this.availableDays.length; i++) {
             const dot = document.createElement('div');
-            dot.className = 'day-dot' + (i === this.currentDayIndex ? ' active' : '');
+            dot.className = 'day-dot' + (i === this.currentDayIndex ? ' active' : '') +
+                (i >= rangeStart && i < this.currentDayIndex ? ' in-range' : '');
             dot.title = this.availableDays[i];
             dot.addEventListener('click', () => this.navigateTo(i));
             this.dayIndicators.appendChild(dot);
         }
     }
     
+    /**
+     * Days in the current selection: `rangeSize` days ending at currentDayIndex.
+     */
+    selectedDays() {
+        const start = Math.max(0, this.currentDayIndex - this.rangeSize + 1);
+        return this.availableDays.slice(start, this.currentDayIndex + 1);
+    }
+    
+    setRange(size, preset) {
+        this.rangeSize = Math.max(1, size);
+        this.rangePreset = preset;
+        this.navigateTo(this.currentDayIndex);
+    }
+    
+    applyCustomRange(from, to) {
+        if (!from || !to) return;
+        if (from > to) [from, to] = [to, from];
+        
+        // Snap to the available days inside [from, to]
+        const start = this.availableDays.findIndex(day => day >= from);
+        let end = -1;
+        this.availableDays.forEach((day, i) => {
+            if (day <= to) end = i;
+        });
+        if (start === -1 || end < start) return;
+        
+        this.rangeSize = end - start + 1;
+        this.rangePreset = 'custom';
+        this.navigateTo(end);
+    }
+    
+    // Arrow keys and buttons step by the selected range
     navigatePrev() {
-        if (this.currentDayIndex > 0) {
-            this.navigateTo(this.currentDayIndex - 1);
+        const size = this.selectedDays().length;
+        if (this.currentDayIndex - size >= 0) {
+            this.navigateTo(Math.max(this.currentDayIndex - size, Math.min(size - 1, this.availableDays.length - 1)));
         }
     }
     
     navigateNext() {
         if (this.currentDayIndex < this.availableDays.length - 1) {
-            this.navigateTo(this.currentDayIndex + 1);
+            this.navigateTo(Math.min(this.currentDayIndex + this.selectedDays().length, this.availableDays.length - 1));
         }
     }
     
@@ -655,49 +6977,144 @@ class CarouselController {
         if (index < 0 || index >= this.availableDays.length) return;
         
         this.currentDayIndex = index;
-        const day = this.availableDays[index];
         
-        // Check cache
-        if (this.dayCache[day]) {
-            this.updateChart(this.dayCache[day].prices, this.dayCache[day].trades);
-        } else {
-            // Fetch day data
+        // A new day starts fully zoomed out
+        this.chart.resetView(false);
+        
+        this.updateUI();
+        // Before the days load, so nothing from the old selection lingers meanwhile
+        this.emit('selectionchange', this.selectedDays());
+        await this.renderSelection();
+    }
+    
+    /**
+     * Load every day in the selection (from cache where possible), join them
+     * into one timeline and draw it.
+     */
+    async renderSelection() {
+        const bot = this.bot;
+        const days = this.selectedDays();
+        const selection = days.join();
+        
+        // Replay owns the chart until the user looks at something else
+        if (this.replay) {
+            if (selection === this.replay.day) return;
+            this.replay.stop();
+        }
+        
+        if (days.some(day => !this.dayCache[day])) {
             this.showLoading(true);
-            await this.fetchDayData(day);
         }
         
-        this.updateUI();
+        const entries = await Promise.all(days.map(day => this.loadDay(day)));
+        
+        // A newer navigation (or another bot) has taken over
+        if (this.bot !== bot || this.selectedDays().join() !== selection) return;
+        
+        this.showLoading(false);
+        
+        const loaded = entries.filter(Boolean);
+        this.selectionCached = loaded.length > 0 && loaded.every(entry => entry.cached);
+        this.renderDateStatus();
+        if (loaded.length === 0) {
+            // No data for this day
+            this.chart.setDayBoundaries([]);
+            this.chart.setData([], []);
+            this.renderPnl(null);
+            this.qualityBadge.classList.add('hidden');
+            return;
+        }
+        
+        const prices = [].concat(...loaded.map(entry => entry.prices));
+        const trades = [].concat(...loaded.map(entry => entry.trades));
+        const quality = mergeQualityReports(loaded.map(entry => entry.quality));
+        const grid = loaded.reduce((history, entry) => mergeGridHistory(history, entry.grid), []);
+        
+        this.chart.setDayBoundaries(days.slice(1).map(day => ({
+            timestamp: tradingDayStart(day),
+            label: formatDay(day, { month: 'short', day: 'numeric' })
+        })));
+        this.updateChart(prices, trades, grid, days[0]);
+        this.renderQuality(quality, this.chart.gaps);
+    }
+    
+    /**
+     * Badge summarising what validation fixed or dropped in the selection
+     * and how many feed gaps it has; details in the tooltip.
+     */
+    renderQuality(quality, gaps) {
+        const repaired = quality.repairedTicks + quality.repairedTrades + quality.reordered;
+        const dropped = quality.droppedTicks + quality.droppedTrades + quality.duplicates;
+        
+        const parts = [];
+        if (repaired > 0) parts.push(`${repaired} fixed`);
+        if (dropped > 0) parts.push(`${dropped} dropped`);
+        if (gaps.length > 0) parts.push(`${gaps.length} gap${gaps.length === 1 ? '' : 's'}`);
+        
+        this.qualityBadge.classList.remove('hidden');
+        this.qualityBadge.classList.toggle('warning', parts.length > 0);
+        this.qualityBadge.textContent = parts.length > 0 ? parts.join(' · ') : 'Data OK';
+        this.qualityBadge.title = [
+            `Ticks repaired: ${quality.repairedTicks}, dropped: ${quality.droppedTicks}`,
+            `Trades repaired: ${quality.repairedTrades}, dropped: ${quality.droppedTrades}`,
+            `Duplicates removed: ${quality.duplicates}`,
+            `Out-of-order records sorted: ${quality.reordered}`,
+            `Gaps over ${formatDuration(CONFIG.gapThresholdMs)}: ${gaps.length}` +
+                (gaps.length > 0 ? ` (longest ${formatDuration(Math.max(...gaps.map(gap => gap.end - gap.start)))})` : '')
+        ].join('\n');
+    }
+    
+    // Cached entry of the newest day, which the live feed keeps current
+    liveEntry() {
+        return this.dayCache[this.availableDays[this.availableDays.length - 1]] || null;
+    }
+    
+    /**
+     * Get a day's data from the cache, then the DayStore, fetching it if
+     * needed. Resolves to null when the day has no data.
+     */
+    async loadDay(day) {
+        if (this.dayCache[day]) return this.dayCache[day];
+        
+        const bot = this.bot;
+        const stored = this.isPastDay(day) && this.store ? await this.store.get(bot.id, day) : null;
+        if (stored) {
+            stored.cached = true;
+            if (this.bot === bot) this.dayCache[day] = stored;
+            return stored;
+        }
+        
+        return this.fetchDayData(day);
+    }
+    
+    // Days before the live one are final and safe to keep
+    isPastDay(day) {
+        return day < this.availableDays[this.availableDays.length - 1];
     }
     
+    // Fetch a day file and cache it
     async fetchDayData(day) {
+        const bot = this.bot;
         try {
-            const response = await fetch(`./data/${day}.json?t=` + Date.now());
-            if (response.ok) {
-                const data = await response.json();
-                this.dayCache[day] = {
-                    prices: data.prices || [],
-                    trades: data.trades || []
-                };
-                this.updateChart(data.prices || [], data.trades || []);
-            } else {
-                // No data for this day
-                this.chart.setData([], []);
-            }
+            const response = await fetch(`${bot.dataPath}${day}.json?t=` + Date.now());
+            if (!response.ok) return null;
+            
+            const data = await response.json();
+            const { prices, trades, events, quality } = validatePayload(data || {});
+            const entry = {
+                prices,
+                trades,
+                grid: this.buildGridHistory({ grid: data && data.grid, prices }),
+                events,
+                quality
+            };
+            if (this.bot === bot) this.dayCache[day] = entry;
+            if (this.store && this.isPastDay(day)) this.store.put(bot.id, day, entry);
+            return entry;
         } catch (error) {
             console.warn(`Failed to fetch data for ${day}:`, error.message);
-            this.chart.setData([], []);
+            return null;
         }
-        
-        this.showLoading(false);
-    }
-    
-    startPolling() {
-        this.pollInterval = setInterval(async () => {
-            // Only poll if viewing live day
-            if (this.isLive) {
-                await this.fetchData();
-            }
-        }, CONFIG.pollIntervalMs);
     }
     
     showLoading(show) {
@@ -712,6 +7129,49 @@ class CarouselController {
         this.connectionStatus.className = 'connection-status ' + status;
         this.connectionStatus.querySelector('.status-text').textContent = text;
     }
+    
+    renderConnectionStatus() {
+        if (!this.transport) return;
+        
+        const { status, transport, lastMessageAt, retryAt } = this.transport;
+        const names = { sse: 'SSE', websocket: 'WebSocket', polling: 'Polling' };
+        const entry = this.liveEntry();
+        const lastTick = entry && entry.prices[entry.prices.length - 1];
+        const asOf = lastTick ? ` from ${formatTime(lastTick.timestamp, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}` : '';
+        const retry = retryAt ? ` · retry in ${Math.max(0, Math.ceil((retryAt - Date.now()) / 1000))}s` : '';
+        
+        const health = botHealth(lastTick ? lastTick.timestamp : null, this.botStatus);
+        
+        if (status === 'connected' && this.liveSource === 'stale') {
+            this.setConnectionStatus('cached', `Cached data${asOf} · updating...`);
+        } else if (status === 'connected' && lastTick && health.state !== 'ok') {
+            // The backend answers, but the bot behind it has gone quiet
+            const detail = health.downFor !== null ? `bot down ${formatDuration(health.downFor)}`
+                : health.tickAge > CONFIG.staleAfterMs ? `no tick for ${formatDuration(health.tickAge)}`
+                : `last heartbeat ${formatDuration(health.heartbeatAge)} ago`;
+            this.setConnectionStatus('stale', `Connected · ${detail}`);
+        } else if (status === 'connected') {
+            const age = this.formatAge(Date.now() - lastMessageAt);
+            this.setConnectionStatus('connected', `Live · ${names[transport]} · ${age}`);
+        } else if (this.availableDays.length > 0) {
+            // We have something to show; say how old it is instead of just waiting
+            const offline = navigator.onLine === false || this.liveSource === 'offline';
+            this.setConnectionStatus('cached', `${offline ? 'Offline' : 'Backend unreachable'} · showing cached data${asOf}${retry}`);
+        } else if (retryAt) {
+            const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+            this.setConnectionStatus('waiting', `Waiting for backend... retry in ${seconds}s`);
+        } else {
+            this.setConnectionStatus('waiting', 'Waiting for backend...');
+        }
+    }
+    
+    formatAge(ms) {
+        const seconds = Math.floor(ms / 1000);
+        if (seconds < 2) return 'just now';
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        return `${Math.floor(seconds / 3600)}h ago`;
+    }
 }
 
 // ============================================
@@ -719,9 +7179,32 @@ class CarouselController {
 // ============================================
 async function init() {
     const chart = new TrahnChart('chart');
-    const carousel = new CarouselController(chart);
+    new ChartOverview('overview', chart);
+    new TradeBlotter(chart);
+    new IndicatorControls(chart);
+    new ScaleControls(chart);
+    const alerts = new AlertManager();
+    const carousel = new CarouselController(chart, alerts, new DayStore());
+    const bots = new BotSelector(carousel, alerts);
+    new BotGrid(bots, carousel, alerts);
+    new HealthPanel(carousel);
+    new CompareControls(chart, carousel);
+    new AnnotationManager(chart, carousel);
+    new GridSimulator(chart, carousel);
+    new TradeDrawer(chart, carousel);
+    new ReplayControls(chart, carousel);
+    new ChartExporter(chart, carousel);
+    new TimeZoneControls(chart, carousel);
+    new UrlState(chart, carousel, bots);
+    
+    if (CONFIG.serviceWorkerUrl && 'serviceWorker' in navigator && location.protocol !== 'file:') {
+        navigator.serviceWorker.register(CONFIG.serviceWorkerUrl)
+            .catch(error => console.warn('Service worker not registered:', error.message));
+    }
     
-    await carousel.start();
+    await bots.load();
+    carousel.start();
+    await bots.select(new URLSearchParams(location.search).get('bot'));
 }
 
 document.addEventListener('DOMContentLoaded', init);
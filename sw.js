@@ -0,0 +1,114 @@
+/**
+ * TRAHN Grid Trader - Service worker
+ * No dependencies.
+ *
+ * Lets the page open with no network: the app shell and each bot's last
+ * full live snapshot are cached here, past days by the page itself in
+ * IndexedDB (DayStore in chart.js).
+ *
+ *   app shell                stale-while-revalidate
+ *   .../current.json         stale-while-revalidate; ?since= deltas always
+ *                            go to the network (a stale full snapshot would
+ *                            roll back what the page already has)
+ *   .../bots.json            network first, cache when offline
+ *
+ * Anything answered from the cache carries `X-Trahn-Cache: stale` (the
+ * network is slow; a fresh copy is on its way) or `X-Trahn-Cache: offline`
+ * (the network failed) so the page can say so.
+ */
+const VERSION = 'v1';
+const SHELL_CACHE = `trahn-shell-${VERSION}`;
+const DATA_CACHE = `trahn-data-${VERSION}`;
+const SHELL_FILES = ['./', './index.html', './chart.js', './styles.css'];
+const SHELL_PATHS = SHELL_FILES.map(file => new URL(file, self.location).pathname);
+const REVALIDATE_WAIT_MS = 500; // How long a cached answer waits to see the network answer or fail
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('trahn-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    
+    if (url.pathname.endsWith('/current.json')) {
+        if (!url.searchParams.has('since')) event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+    } else if (url.pathname.endsWith('/bots.json')) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (request.mode === 'navigate' || SHELL_PATHS.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});
+
+// Cache entries ignore the query string (cache busters, deep links)
+function cacheKey(request) {
+    const url = new URL(request.url);
+    return url.origin + url.pathname;
+}
+
+// Copy of a cached response, labelled for the page
+function markCached(response, state) {
+    const headers = new Headers(response.headers);
+    headers.set('X-Trahn-Cache', state);
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Answer from the cache and refresh it in the background; with nothing
+ * cached yet, wait for the network. A network answer within
+ * REVALIDATE_WAIT_MS is used directly, and a failure within it marks the
+ * cached copy `offline`.
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const key = cacheKey(event.request);
+    const cached = await cache.match(key);
+    
+    const update = fetch(event.request).then((response) => {
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+    });
+    
+    if (!cached) return update;
+    
+    event.waitUntil(update.catch(() => null));
+    
+    // null: the fetch failed; undefined: still waiting
+    const early = await Promise.race([
+        update.catch(() => null),
+        new Promise(resolve => setTimeout(resolve, REVALIDATE_WAIT_MS))
+    ]);
+    if (early && (early.ok || early.status === 304)) return early;
+    return markCached(cached, early === null ? 'offline' : 'stale');
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const key = cacheKey(request);
+    
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(key, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (!cached) throw error;
+        return markCached(cached, 'offline');
+    }
+}
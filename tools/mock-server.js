@@ -0,0 +1,405 @@
+/**
+ * TRAHN Grid Trader - Local mock backend
+ * No dependencies. Node.js built-ins only.
+ *
+ * Serves the app plus synthetic data so the live transports can be tried
+ * without the real bot:
+ *
+ *   node tools/mock-server.js [--port 8080] [--no-stream] [--no-ws] [--dead]
+ *
+ *   /data/bots.json                 manifest of the bots below
+ *   /data/<bot>/current.json        live day snapshot (?since=<ms> for a delta, ETag aware)
+ *   /data/<bot>/YYYY-MM-DD.json     past days
+ *   /stream?bot=<bot>               Server-Sent Events (ticks + trades)
+ *   /ws?bot=<bot>                   WebSocket, same messages
+ *
+ * /data/current.json and /data/YYYY-MM-DD.json serve the first bot, for
+ * pages without a manifest.
+ *
+ * --no-stream / --no-ws make those endpoints 404 (and drop them from the
+ * manifest) so the polling fallback can be exercised. The page tries SSE
+ * first; run with --no-stream to try the WebSocket path. --dead keeps
+ * serving the data generated at startup with no new ticks or heartbeats,
+ * like a backend whose bot has died.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============================================
+// Options
+// ============================================
+const args = process.argv.slice(2);
+const OPTIONS = {
+    port: Number(args[args.indexOf('--port') + 1]) || 8080,
+    stream: !args.includes('--no-stream'),
+    ws: !args.includes('--no-ws'),
+    dead: args.includes('--dead'),
+    tickIntervalMs: 1000,
+    historyDays: 5,
+};
+
+const ROOT = path.resolve(__dirname, '..');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+};
+
+// One synthetic market per bot: start price, grid step, largest move per
+// tick, quote value per fill and price decimals
+const BOTS = [
+    { id: 'eth-usdc', name: 'ETH Grid Trader', base: 'ETH', quote: 'USDC', price: 3000, step: 10, move: 2, value: 50, decimals: 2 },
+    { id: 'btc-usdc', name: 'BTC Grid Trader', base: 'BTC', quote: 'USDC', price: 65000, step: 200, move: 40, value: 100, decimals: 2 },
+    { id: 'sol-eth', name: 'SOL/ETH Grid', base: 'SOL', quote: 'ETH', price: 0.05, step: 0.0002, move: 0.00004, value: 0.02, decimals: 6 },
+];
+
+function manifest(host) {
+    return {
+        bots: BOTS.map(bot => ({
+            id: bot.id,
+            name: bot.name,
+            pair: `${bot.base}/${bot.quote}`,
+            base: bot.base,
+            quote: bot.quote,
+            dataPath: `./data/${bot.id}/`,
+            streamUrl: OPTIONS.stream ? `./stream?bot=${bot.id}` : null,
+            wsUrl: OPTIONS.ws ? `ws://${host}/ws?bot=${bot.id}` : null,
+        })),
+    };
+}
+
+// ============================================
+// Synthetic market
+// ============================================
+function dayKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Small deterministic PRNG so past days look the same on every request
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 2 ** 32;
+    };
+}
+
+/**
+ * Random-walk ticks (with volume) every 10s from midnight UTC until `until`, with a
+ * trade whenever price crosses one of the bot's grid levels and a rebalance
+ * event (with a re-centred grid snapshot) every six hours.
+ */
+function generateDay(bot, day, until) {
+    const start = Date.parse(day + 'T00:00:00Z');
+    const random = seededRandom(start / 1000 + BOTS.indexOf(bot));
+    const prices = [];
+    const trades = [];
+    const events = [];
+    let price = bot.price * (1 + random() * 0.07);
+    let level = Math.floor(price / bot.step);
+    const grid = [makeGrid(bot, start, price)];
+    
+    for (let t = start; t < Math.min(start + DAY_MS, until); t += 10000) {
+        price += (random() - 0.5) * bot.move;
+        prices.push(makeTick(bot, t, price, random()));
+        
+        const newLevel = Math.floor(price / bot.step);
+        if (newLevel !== level) {
+            trades.push(makeTrade(bot, t, price, newLevel < level ? 'buy' : 'sell', random));
+            level = newLevel;
+        }
+        if (t > start && (t - start) % (6 * 60 * 60 * 1000) === 0) {
+            events.push({ t, type: 'rebalance', text: 'Grid re-centered', price: Number(price.toFixed(bot.decimals)) });
+            grid.push(makeGrid(bot, t, price));
+        }
+    }
+    
+    return { prices, trades, events, grid };
+}
+
+// Grid snapshot, stamped with `t` like ticks: five levels either side of price
+function makeGrid(bot, t, price) {
+    const centre = Math.round(price / bot.step);
+    const levels = [];
+    for (let i = -5; i <= 5; i++) {
+        if (i === 0) continue;
+        levels.push({ price: Number(((centre + i) * bot.step).toFixed(bot.decimals)), side: i < 0 ? 'buy' : 'sell', status: 'open' });
+    }
+    return { t, levels };
+}
+
+function makeTick(bot, t, price, random) {
+    return { t, p: Number(price.toFixed(bot.decimals)), v: Number((random * 5).toFixed(3)) };
+}
+
+// An on-chain swap: fills a little worse than quoted and pays pool fee and gas
+function makeTrade(bot, t, price, side, random) {
+    const slippage = random() * 0.002 * (side === 'buy' ? 1 : -1);
+    const fillPrice = Number((price * (1 + slippage)).toFixed(bot.decimals));
+    const gasEth = 0.0002 + random() * 0.001;
+    let txHash = '0x';
+    while (txHash.length < 66) txHash += Math.floor(random() * 16).toString(16);
+    
+    return {
+        t,
+        price: fillPrice,
+        side,
+        usdValue: bot.value,
+        amount: Number((bot.value / fillPrice).toFixed(8)),
+        quotedPrice: Number(price.toFixed(bot.decimals)),
+        fee: Number((bot.value * 0.003).toFixed(8)),
+        gasEth: Number(gasEth.toFixed(6)),
+        gasUsd: Number((gasEth * BOTS[0].price).toFixed(2)),
+        venue: 'Uniswap v3',
+        pool: `${bot.base}/${bot.quote} 0.3%`,
+        txHash
+    };
+}
+
+// bot id -> { day, data, heartbeat }
+const live = {};
+for (const bot of BOTS) {
+    live[bot.id] = { day: dayKey(Date.now()), data: generateDay(bot, dayKey(Date.now()), Date.now()), heartbeat: Date.now() };
+    live[bot.id].data.events.push({ t: Date.now(), type: 'restart', text: 'Mock server started' });
+}
+
+// Account as the bot would report it: balances follow today's fills
+function botStatus(bot) {
+    const state = live[bot.id];
+    const balances = { [bot.base]: 10 * bot.value / bot.price, [bot.quote]: 10 * bot.value };
+    for (const trade of state.data.trades) {
+        const amount = trade.usdValue / trade.price;
+        balances[bot.base] += trade.side === 'buy' ? amount : -amount;
+        balances[bot.quote] += trade.side === 'buy' ? -trade.usdValue : trade.usdValue;
+    }
+    
+    return {
+        heartbeat: state.heartbeat,
+        balances,
+        openOrders: 10,
+        lastError: null,
+        version: 'mock-1.0.0',
+    };
+}
+
+function availableDays() {
+    const days = [];
+    for (let i = OPTIONS.historyDays - 1; i >= 0; i--) {
+        days.push(dayKey(Date.now() - i * DAY_MS));
+    }
+    return days;
+}
+
+// ============================================
+// Live feed
+// ============================================
+// bot id -> Set of send(json) functions
+const subscribers = {};
+for (const bot of BOTS) subscribers[bot.id] = new Set();
+
+function broadcast(bot, message) {
+    const json = JSON.stringify(message);
+    for (const send of subscribers[bot.id]) send(json);
+}
+
+function advance(bot, now) {
+    const state = live[bot.id];
+    state.heartbeat = now;
+    
+    // Roll over at midnight UTC
+    if (dayKey(now) !== state.day) {
+        state.day = dayKey(now);
+        const last = state.data.prices[state.data.prices.length - 1];
+        state.data = { prices: [], trades: [], events: [], grid: [makeGrid(bot, now, last ? last.p : bot.price)] };
+        broadcast(bot, { type: 'snapshot', currentDay: state.day, availableDays: availableDays(), ...state.data });
+    }
+    
+    const prices = state.data.prices;
+    const last = prices[prices.length - 1];
+    const price = (last ? last.p : bot.price) + (Math.random() - 0.5) * bot.move;
+    const tick = makeTick(bot, now, price, Math.random());
+    prices.push(tick);
+    broadcast(bot, { type: 'tick', day: state.day, ...tick });
+    
+    if (last && Math.floor(price / bot.step) !== Math.floor(last.p / bot.step)) {
+        const trade = makeTrade(bot, now, price, price < last.p ? 'buy' : 'sell', Math.random);
+        state.data.trades.push(trade);
+        broadcast(bot, { type: 'trade', day: state.day, ...trade });
+    }
+    
+    broadcast(bot, { type: 'status', status: botStatus(bot) });
+}
+
+setInterval(() => {
+    if (OPTIONS.dead) return;
+    
+    const now = Date.now();
+    for (const bot of BOTS) advance(bot, now);
+}, OPTIONS.tickIntervalMs);
+
+// Bot named by ?bot= (the first one when absent), or null if unknown
+function findBot(id) {
+    return id === null ? BOTS[0] : BOTS.find(bot => bot.id === id) || null;
+}
+
+// ============================================
+// HTTP
+// ============================================
+function sendJson(res, body, headers = {}) {
+    res.writeHead(200, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Live snapshot, or only the records newer than `since` when asked.
+ * Answers 304 if the client's ETag is still current.
+ */
+function handleCurrent(req, res, bot, since) {
+    const state = live[bot.id];
+    const { prices, trades } = state.data;
+    const last = prices[prices.length - 1];
+    const etag = `"${bot.id}-${state.day}-${last ? last.t : 0}-${trades.length}"`;
+    
+    if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        return res.end();
+    }
+    
+    const body = { currentDay: state.day, availableDays: availableDays(), status: botStatus(bot) };
+    if (since !== null) {
+        Object.assign(body, {
+            delta: true,
+            since,
+            prices: prices.filter(p => p.t > since),
+            trades: trades.filter(t => t.t > since),
+            events: state.data.events.filter(e => e.t > since),
+            grid: state.data.grid,
+        });
+    } else {
+        Object.assign(body, state.data);
+    }
+    
+    sendJson(res, body, { ETag: etag });
+}
+
+function notFound(res) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+}
+
+function handleStream(req, res, bot) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive',
+    });
+    res.write('retry: 5000\n\n');
+    
+    const send = (json) => res.write(`data: ${json}\n\n`);
+    subscribers[bot.id].add(send);
+    req.on('close', () => subscribers[bot.id].delete(send));
+}
+
+function serveStatic(pathname, res) {
+    const file = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+    if (!file.startsWith(ROOT + path.sep)) return notFound(res);
+    
+    fs.readFile(file, (error, content) => {
+        if (error) return notFound(res);
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    
+    if (pathname === '/data/bots.json') {
+        return sendJson(res, manifest(req.headers.host));
+    }
+    
+    // /data/<bot>/<file>, or /data/<file> for the first bot
+    const dataMatch = pathname.match(/^\/data\/(?:([\w-]+)\/)?(current|\d{4}-\d{2}-\d{2})\.json$/);
+    if (dataMatch) {
+        const bot = findBot(dataMatch[1] || null);
+        if (!bot) return notFound(res);
+        
+        const file = dataMatch[2];
+        if (file === 'current') {
+            const since = searchParams.has('since') ? Number(searchParams.get('since')) : null;
+            return handleCurrent(req, res, bot, since);
+        }
+        if (file === live[bot.id].day) return sendJson(res, live[bot.id].data);
+        if (!availableDays().includes(file)) return notFound(res);
+        return sendJson(res, generateDay(bot, file, Infinity));
+    }
+    
+    if (pathname === '/stream') {
+        const bot = findBot(searchParams.get('bot'));
+        return OPTIONS.stream && bot ? handleStream(req, res, bot) : notFound(res);
+    }
+    
+    serveStatic(pathname, res);
+});
+
+// ============================================
+// WebSocket (text frames only - enough for a one-way feed)
+// ============================================
+function encodeFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    
+    return Buffer.concat([header, payload]);
+}
+
+server.on('upgrade', (req, socket) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const bot = findBot(searchParams.get('bot'));
+    if (pathname !== '/ws' || !OPTIONS.ws || !bot) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1')
+        .update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+        .digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    
+    const send = (json) => socket.write(encodeFrame(json));
+    subscribers[bot.id].add(send);
+    
+    // Any opcode 0x8 frame from the client is a close
+    socket.on('data', (chunk) => {
+        if ((chunk[0] & 0x0f) === 0x8) socket.end();
+    });
+    socket.on('close', () => subscribers[bot.id].delete(send));
+    socket.on('error', () => subscribers[bot.id].delete(send));
+});
+
+server.listen(OPTIONS.port, () => {
+    console.log(`Mock backend on http://localhost:${OPTIONS.port}`);
+    console.log(`  SSE ${OPTIONS.stream ? 'on' : 'off'}, WebSocket ${OPTIONS.ws ? 'on' : 'off'}`);
+});